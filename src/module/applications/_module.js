@@ -1,4 +1,5 @@
 export * as actor from "./actor/_module.js";
+export * as clocks from "./clocks/_module.js";
 export * as combat from "./combat/_module.js";
 export * as item from "./item/_module.js";
 export * as token from "./token/_module.js";
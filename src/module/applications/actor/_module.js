@@ -1,3 +1,4 @@
+export { default as PbtaFrontSheet } from "./front-sheet.js";
 export { default as PbtaActorNpcSheet } from "./actor-npc-sheet.js";
 export { default as PbtaActorOtherSheet } from "./actor-other-sheet.js";
 export { default as PbtaActorSheet } from "./actor-sheet.js";
@@ -1,3 +1,6 @@
+import { PbtaAdvancementDialog } from "../../forms/advancement.js";
+import { PbtaCharacterWizard } from "../../forms/character-wizard.js";
+
 /**
  * Extend the basic ActorSheet with some very simple modifications
  * @extends {ActorSheet}
@@ -72,6 +75,20 @@ export default class PbtaActorSheet extends ActorSheet {
 		return super.close(options);
 	}
 
+	/** @override */
+	_getHeaderButtons() {
+		const buttons = super._getHeaderButtons();
+		if (this.isEditable && this.actor.baseType === "character" && !this.actor.limited) {
+			buttons.unshift({
+				label: "PBTA.CharacterWizard.label",
+				class: "character-wizard",
+				icon: "fas fa-hat-wizard",
+				onclick: () => new PbtaCharacterWizard(this.actor).render(true)
+			});
+		}
+		return buttons;
+	}
+
 	/* -------------------------------------------- */
 
 	/** @override */
@@ -83,7 +100,9 @@ export default class PbtaActorSheet extends ActorSheet {
 			system: foundry.utils.duplicate(this.actor.system),
 			items: Array.from(this.actor.items.toObject()).sort((a, b) => (a.sort || 0) - (b.sort || 0)),
 
-			effects: this.actor.effects.map((e) => foundry.utils.deepClone(e)),
+			effects: this._prepareEffects(),
+			overrides: Object.fromEntries(Object.keys(foundry.utils.flattenObject(this.actor.overrides ?? {}))
+				.map((key) => [key, true])),
 			owner: this.actor.isOwner,
 			limited: this.actor.limited,
 			options: this.options,
@@ -146,6 +165,10 @@ export default class PbtaActorSheet extends ActorSheet {
 					prompt: { label: game.i18n.localize("PBTA.Prompt"), value: 0 },
 					formula: { label: game.i18n.localize("PBTA.Formula"), value: 0 }
 				});
+				for (const [key, attr] of Object.entries(this.actor.system.attributes)) {
+					if (attr?.type !== "Relationship") continue;
+					context.statSettings[`relationship.${key}`] = { label: attr.label };
+				}
 			}
 
 			if (game.pbta.sheetConfig.statShifting) {
@@ -158,6 +181,19 @@ export default class PbtaActorSheet extends ActorSheet {
 
 			// Set a warning for tokens.
 			context.isToken = this.actor.token !== null;
+
+			// Stats that bonuses can be scoped to.
+			context.bonusStats = Object.fromEntries(Object.entries(this.actor.system.stats ?? {})
+				.filter(([key]) => !(key === "token" && context.statToken))
+				.map(([key, stat]) => [key, stat.label ?? key]));
+		}
+
+		// The attribute that shows the load is derived from equipment, so it can't be edited.
+		const loadAttribute = game.pbta.sheetConfig.load?.attribute;
+		const { group: loadGroup } = (loadAttribute && this.actor._getAttribute(loadAttribute)) || {};
+		if (loadGroup && context.system.load) {
+			context.overrides[`system.${loadGroup}.${loadAttribute}.value`] = true;
+			context.overrides[`system.${loadGroup}.${loadAttribute}.max`] = true;
 		}
 
 		this._sortAttrs(context);
@@ -188,6 +224,14 @@ export default class PbtaActorSheet extends ActorSheet {
 					delete context.system[group][attrKey];
 					continue;
 				}
+				if (attrValue.type === "Relationship") {
+					context.system[group][attrKey].relationships = this.actor.getRelationshipTargets().map((a) => ({
+						id: a.id,
+						name: a.name,
+						img: a.img,
+						value: attrValue.value?.[a.id] ?? attrValue.default
+					}));
+				}
 				if (attrValue.type === "LongText") {
 					context.system[group][attrKey].attrName = `system.${group}.${attrKey}.value`;
 					context.system[group][attrKey].enriched =
@@ -197,6 +241,35 @@ export default class PbtaActorSheet extends ActorSheet {
 		}
 	}
 
+	/**
+	 * Prepare the effects that apply to the actor, including those carried by its items.
+	 * @returns {object}
+	 */
+	_prepareEffects() {
+		const effects = this.actor.allApplicableEffects?.() ?? this.actor.effects;
+		const conditions = {};
+		for (const [attrKey, attr] of Object.entries(this.actor.system.attributes ?? {})) {
+			if (!attr?.condition) continue;
+			for (const [optionKey, option] of Object.entries(attr.options ?? {})) {
+				conditions[`${attrKey}.${optionKey}`] = `${attr.label}: ${option.userLabel || option.label}`;
+			}
+		}
+		return {
+			conditions,
+			list: Array.from(effects).map((effect) => ({
+				id: effect.id,
+				itemId: effect.parent instanceof Item ? effect.parent.id : "",
+				name: effect.name ?? effect.label,
+				icon: effect.img ?? effect.icon,
+				disabled: effect.disabled,
+				suppressed: effect.isSuppressed,
+				temporary: effect.isTemporary,
+				source: effect.sourceLabel,
+				condition: effect.getFlag("pbta", "condition") ?? ""
+			}))
+		};
+	}
+
 	/**
 	 * Resort attributes based on config.
 	 *
@@ -307,6 +380,7 @@ export default class PbtaActorSheet extends ActorSheet {
 				}
 			}
 			item.isExpanded = this._expanded.has(item.id);
+			item.usesHold = !!sourceItem.system?.usesHold;
 			// If this is a move, sort into various arrays.
 			if (item.type === moveType) {
 				if (context.moves[item.system.moveType]) {
@@ -335,18 +409,9 @@ export default class PbtaActorSheet extends ActorSheet {
 		html.find(".rollable, .showable").on("click", this._onRollable.bind(this));
 
 		// // View playbook.
-		html.find(".charplaybook").on("change", (event) => {
-			const currPlaybook = this.actor.playbook.slug;
-			if (currPlaybook) {
-				this.options.classes = this.options.classes.filter((c) => c !== `playbook-${currPlaybook}`);
-			}
-
-			const selected = CONFIG.PBTA.playbooks.find((p) => p.uuid === event.target.value);
-			this.actor.update({ "system.playbook": {
-				name: selected?.name ?? "",
-				slug: selected?.slug ?? selected?.name.slugify() ?? "",
-				uuid: selected?.uuid ?? ""
-			} });
+		html.find(".charplaybook").on("change", async (event) => {
+			const playbook = event.target.value ? await fromUuid(event.target.value) : null;
+			this._onChangePlaybook(playbook);
 		});
 		html.find(".view-playbook").on("click", this._onViewPlaybook.bind(this));
 
@@ -366,6 +431,8 @@ export default class PbtaActorSheet extends ActorSheet {
 		html.find(".attr-clock, .attr-xp").on("click", this._onClockClick.bind(this));
 		html.find(".attr-track-value").on("click", this._onTrackValueClick.bind(this));
 		html.find(".attr-track-step").on("click", this._onTrackStepClick.bind(this));
+		html.find(".attr-advance").on("click", this._onAdvance.bind(this));
+		html.find(".attr-relationship-reset").on("click", this._onRelationshipReset.bind(this));
 
 		// Stats.
 		html.find(".stat-clock").on("click", this._onStatClockClick.bind(this));
@@ -381,8 +448,107 @@ export default class PbtaActorSheet extends ActorSheet {
 			});
 		}
 
+		// Equipment state.
+		html.find(".item-meta .tag--state").on("click", this._onEquipmentStateCycle.bind(this));
+
+		// Hold.
+		html.find(".item-meta .tag--hold").on({
+			click: this._onSpendHold.bind(this),
+			contextmenu: this._onUsagesControl.bind(this, "system.hold", 1)
+		});
+
 		// Resources.
 		html.find(".resource-control").on("click", this._onResourceControl.bind(this));
+
+		// Bonuses.
+		html.find(".bonus-create").on("click", this._onBonusCreate.bind(this));
+		html.find(".bonus-delete").on("click", this._onBonusDelete.bind(this));
+
+		// Effects.
+		html.find(".effect-control").on("click", this._onEffectControl.bind(this));
+		html.find(".effect-condition").on("change", this._onEffectCondition.bind(this));
+	}
+
+	/**
+	 * Add a bonus that applies to any roll until it is used.
+	 * @param {MouseEvent} event
+	 * @returns {Promise<ActorPbta>}
+	 */
+	_onBonusCreate(event) {
+		event.preventDefault();
+		return this.actor.update({
+			[`system.resources.bonuses.${foundry.utils.randomID()}`]: {
+				label: "",
+				value: 1,
+				scope: "",
+				target: "",
+				expiry: "roll"
+			}
+		});
+	}
+
+	/**
+	 * Remove a bonus.
+	 * @param {MouseEvent} event
+	 * @returns {Promise<ActorPbta>}
+	 */
+	_onBonusDelete(event) {
+		event.preventDefault();
+		const { bonusId } = event.currentTarget.closest("[data-bonus-id]").dataset;
+		return this.actor.update({ [`system.resources.bonuses.-=${bonusId}`]: null });
+	}
+
+	/**
+	 * Find the effect an effect control belongs to, on the actor or on one of its items.
+	 * @param {HTMLElement} element
+	 * @returns {ActiveEffect|undefined}
+	 */
+	_getEffect(element) {
+		const { effectId, itemId } = element.closest(".effect").dataset;
+		const parent = itemId ? this.actor.items.get(itemId) : this.actor;
+		return parent?.effects.get(effectId);
+	}
+
+	/**
+	 * Create, edit, toggle or delete an effect.
+	 * @param {MouseEvent} event
+	 * @returns {Promise<*>}
+	 */
+	async _onEffectControl(event) {
+		event.preventDefault();
+		const { action } = event.currentTarget.dataset;
+		if (action === "create") {
+			return this.actor.createEmbeddedDocuments("ActiveEffect", [{
+				name: game.i18n.localize("PBTA.Effects.new"),
+				icon: "icons/svg/aura.svg",
+				origin: this.actor.uuid
+			}]);
+		}
+		const effect = this._getEffect(event.currentTarget);
+		if (!effect) return;
+		switch (action) {
+			case "edit":
+				return effect.sheet.render(true);
+			case "toggle":
+				return effect.update({ disabled: !effect.disabled });
+			case "delete":
+				return effect.deleteDialog();
+		}
+	}
+
+	/**
+	 * Tie an effect to one of the actor's conditions, so that it only applies while the condition is marked.
+	 * @param {Event} event
+	 * @returns {Promise<ActiveEffect>}
+	 */
+	async _onEffectCondition(event) {
+		event.preventDefault();
+		event.stopPropagation();
+		const effect = this._getEffect(event.currentTarget);
+		const condition = event.currentTarget.value;
+		if (!effect) return;
+		if (condition) return effect.setFlag("pbta", "condition", condition);
+		return effect.unsetFlag("pbta", "condition");
 	}
 
 	_onResourceControl(event) {
@@ -645,6 +811,32 @@ export default class PbtaActorSheet extends ActorSheet {
 		}
 	}
 
+	/**
+	 * Move a piece of equipment on to its next state, such as from carried to stowed.
+	 * @param {MouseEvent} event
+	 * @returns {Promise<Item>}
+	 */
+	async _onEquipmentStateCycle(event) {
+		event.preventDefault();
+		const itemId = event.currentTarget.closest(".item")?.dataset.itemId;
+		const item = this.actor.items.get(itemId);
+		if (!item) return;
+		const states = Object.keys(CONFIG.PBTA.equipmentStates);
+		const state = states[(states.indexOf(item.system.state) + 1) % states.length];
+		return item.update({ "system.state": state });
+	}
+
+	/**
+	 * Spend a point of hold on a move.
+	 * @param {MouseEvent} event
+	 */
+	async _onSpendHold(event) {
+		event.preventDefault();
+		const itemId = event.currentTarget.closest(".item")?.dataset.itemId;
+		const item = this.actor.items.get(itemId);
+		if (item) await item.spendHold();
+	}
+
 	/**
 	 * Listen for click events on rollables.
 	 * @param {MouseEvent} event
@@ -669,6 +861,87 @@ export default class PbtaActorSheet extends ActorSheet {
 		}
 	}
 
+	/**
+	 * Open the advancement dialog to spend a full Xp track.
+	 * @param {MouseEvent} event
+	 */
+	_onAdvance(event) {
+		event.preventDefault();
+		const attribute = event.currentTarget.dataset.attribute;
+		new PbtaAdvancementDialog(this.actor, { attribute }).render(true);
+	}
+
+	/**
+	 * Switch the actor's playbook, asking which of its options to take
+	 * and whether to remove the items granted by the previous one.
+	 * @param {Item|null} playbook
+	 * @returns {Promise<Actor|void>}
+	 */
+	async _onChangePlaybook(playbook) {
+		const granted = this.actor.getGrantedItems(playbook?.uuid);
+		const { statArrays = [], moves = [], moveChoices = 0 } = playbook?.system ?? {};
+		const optionalMoves = moveChoices ? moves.filter((m) => !m.required) : [];
+		let options = {};
+		if (granted.length || statArrays.length > 1 || optionalMoves.length) {
+			const content = await renderTemplate("systems/pbta/templates/dialog/playbook-apply.html", {
+				playbook,
+				statArrays: Object.fromEntries(statArrays.map((a, i) => {
+					return [i, a.label || `${game.i18n.localize("PBTA.PlaybookGrants.statArray")} ${i + 1}`];
+				})),
+				optionalMoves,
+				moveChoices,
+				granted
+			});
+			options = await Dialog.prompt({
+				title: game.i18n.format("PBTA.PlaybookGrants.applyTitle", { name: playbook?.name ?? this.actor.name }),
+				content,
+				label: game.i18n.localize("PBTA.PlaybookGrants.apply"),
+				callback: (html) => {
+					const data = new FormDataExtended(html[0].querySelector("form")).object;
+					return {
+						statArray: Number(data.statArray ?? 0),
+						moves: optionalMoves.length
+							? optionalMoves.filter((m, i) => data[`moves.${i}`]).map((m) => m.uuid)
+							: undefined,
+						removeGranted: Boolean(data.removeGranted)
+					};
+				},
+				render: (html) => {
+					const checkboxes = html[0].querySelectorAll(".playbook-optional-move");
+					const limit = () => {
+						const count = Array.from(checkboxes).filter((c) => c.checked).length;
+						for (const c of checkboxes) c.disabled = !c.checked && count >= moveChoices;
+					};
+					checkboxes.forEach((c) => c.addEventListener("change", limit));
+				},
+				rejectClose: false
+			});
+			if (!options) return this.render();
+		}
+
+		const currPlaybook = this.actor.playbook.slug;
+		if (currPlaybook) {
+			this.options.classes = this.options.classes.filter((c) => c !== `playbook-${currPlaybook}`);
+		}
+		return this.actor.applyPlaybook(playbook, options);
+	}
+
+	/**
+	 * Reset a relationship attribute's values after confirming.
+	 * @param {MouseEvent} event
+	 */
+	async _onRelationshipReset(event) {
+		event.preventDefault();
+		const key = event.currentTarget.dataset.attribute;
+		const { attr } = this.actor._getAttribute(key) ?? {};
+		if (!attr) return;
+		const confirm = await Dialog.confirm({
+			title: game.i18n.format("PBTA.Relationship.resetTitle", { label: attr.label }),
+			content: `<p>${game.i18n.format("PBTA.Relationship.resetHint", { label: attr.label })}</p>`
+		});
+		if (confirm) await this.actor.resetRelationships([key]);
+	}
+
 	/**
 	 * Listen for toggling the look column.
 	 * @param {HTMLElement} html
@@ -747,11 +1020,7 @@ export default class PbtaActorSheet extends ActorSheet {
 		}
 
 		if (item.type === "playbook" && this.actor.system.playbook) {
-			this.actor.update({ "system.playbook": {
-				name: item.name,
-				slug: item.slug ?? item.name.slugify(),
-				uuid: item.uuid
-			} });
+			this._onChangePlaybook(item);
 			return false;
 		}
 
@@ -0,0 +1,130 @@
+/**
+ * A GM-facing sheet for fronts, with their dangers, grim portents and impending doom.
+ * @extends {ActorSheet}
+ */
+export default class PbtaFrontSheet extends ActorSheet {
+	/** @override */
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			classes: ["pbta", "sheet", "actor", "front"],
+			width: 560,
+			height: 640,
+			tabs: [{ navSelector: ".sheet-tabs", contentSelector: ".sheet-body", initial: "dangers" }]
+		});
+	}
+
+	/** @override */
+	get template() {
+		return "systems/pbta/templates/actors/front-sheet.html";
+	}
+
+	/* -------------------------------------------- */
+
+	/** @override */
+	async getData() {
+		const system = this.actor.system;
+		const dangers = Object.fromEntries(system.dangers.map((d, i) => {
+			return [d.id, d.name || `${game.i18n.localize("PBTA.Front.danger")} ${i + 1}`];
+		}));
+		return {
+			actor: this.actor,
+			system,
+			owner: this.actor.isOwner,
+			editable: this.isEditable,
+			cssClass: this.isEditable ? "editable" : "locked",
+			dangers,
+			portents: system.portents.map((p, index) => ({
+				...p,
+				index,
+				marked: index < system.countdown.value
+			})),
+			enriched: {
+				description: await TextEditor.enrichHTML(system.description, {
+					async: true,
+					secrets: this.actor.isOwner,
+					relativeTo: this.actor
+				})
+			}
+		};
+	}
+
+	/* -------------------------------------------- */
+
+	/** @override */
+	activateListeners(html) {
+		super.activateListeners(html);
+		if (!this.isEditable) return;
+		html.find(".front-create").on("click", this._onEntryCreate.bind(this));
+		html.find(".front-delete").on("click", this._onEntryDelete.bind(this));
+		html.find(".front-move").on("click", this._onEntryMove.bind(this));
+		html.find(".portent-mark").on("click", this._onPortentMark.bind(this));
+	}
+
+	/** @override */
+	_getSubmitData(updateData = {}) {
+		const data = foundry.utils.expandObject(super._getSubmitData(updateData));
+		// Lists are submitted as objects keyed by index, but are stored as arrays.
+		for (const list of ["dangers", "portents", "stakes"]) {
+			if (data.system?.[list] && !Array.isArray(data.system[list])) {
+				data.system[list] = Object.values(data.system[list]);
+			}
+		}
+		return foundry.utils.flattenObject(data);
+	}
+
+	/**
+	 * Add a danger, grim portent or stakes question.
+	 * @param {Event} event
+	 */
+	async _onEntryCreate(event) {
+		event.preventDefault();
+		const list = event.currentTarget.dataset.list;
+		const defaults = {
+			dangers: { id: foundry.utils.randomID(), name: "", type: "", impulse: "", description: "" },
+			portents: { text: "", danger: "" },
+			stakes: ""
+		};
+		if (!(list in defaults)) return;
+		const entries = foundry.utils.deepClone(this.actor.system.toObject()[list]);
+		entries.push(defaults[list]);
+		await this.actor.update({ [`system.${list}`]: entries });
+	}
+
+	/**
+	 * Remove a danger, grim portent or stakes question.
+	 * @param {Event} event
+	 */
+	async _onEntryDelete(event) {
+		event.preventDefault();
+		const { list, index } = event.currentTarget.closest("[data-list]").dataset;
+		const entries = foundry.utils.deepClone(this.actor.system.toObject()[list] ?? []);
+		entries.splice(Number(index), 1);
+		await this.actor.update({ [`system.${list}`]: entries });
+	}
+
+	/**
+	 * Move a grim portent up or down the countdown.
+	 * @param {Event} event
+	 */
+	async _onEntryMove(event) {
+		event.preventDefault();
+		const { list, index } = event.currentTarget.closest("[data-list]").dataset;
+		const from = Number(index);
+		const to = from + Number(event.currentTarget.dataset.direction);
+		const entries = foundry.utils.deepClone(this.actor.system.toObject()[list] ?? []);
+		if (to < 0 || to >= entries.length) return;
+		entries.splice(to, 0, entries.splice(from, 1)[0]);
+		await this.actor.update({ [`system.${list}`]: entries });
+	}
+
+	/**
+	 * Advance the countdown up to a portent, or step it back if that portent is the last one marked.
+	 * @param {Event} event
+	 */
+	async _onPortentMark(event) {
+		event.preventDefault();
+		let value = Number(event.currentTarget.closest("[data-index]").dataset.index) + 1;
+		if (value === this.actor.system.countdown.value) value--;
+		await this.actor.update({ "system.countdown.value": value });
+	}
+}
@@ -0,0 +1 @@
+export { default as PbtaClockPanel } from "./clock-panel.js";
@@ -0,0 +1,138 @@
+/**
+ * A floating panel showing the world's shared progress clocks to every client.
+ * @extends {Application}
+ */
+export default class PbtaClockPanel extends Application {
+	/**
+	 * The number of segments a clock can have.
+	 * @type {number[]}
+	 */
+	static SIZES = [4, 6, 8, 12];
+
+	/**
+	 * Whether the panel is collapsed on this client.
+	 * @type {boolean}
+	 */
+	collapsed = false;
+
+	/** @override */
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			id: "pbta-clocks",
+			classes: ["pbta"],
+			template: "systems/pbta/templates/clocks/clock-panel.html",
+			popOut: false
+		});
+	}
+
+	/**
+	 * All of the world's clocks.
+	 * @type {object[]}
+	 */
+	static get clocks() {
+		return game.settings.get("pbta", "clocks") ?? [];
+	}
+
+	/* -------------------------------------------- */
+
+	/** @override */
+	getData(options) {
+		const isGM = game.user.isGM;
+		const clocks = this.constructor.clocks
+			.filter((c) => isGM || c.visible)
+			.map((clock) => ({
+				...clock,
+				canEdit: isGM || clock.playerEdit,
+				segments: this.constructor.getSegments(clock.size, clock.value)
+			}));
+		return {
+			clocks,
+			isGM,
+			collapsed: this.collapsed
+		};
+	}
+
+	/**
+	 * Build the SVG paths of a pie clock's segments.
+	 * @param {number} size		The number of segments.
+	 * @param {number} value	The number of filled segments.
+	 * @returns {object[]}
+	 */
+	static getSegments(size, value) {
+		const point = (i) => {
+			const angle = ((i / size) * 2 * Math.PI) - (Math.PI / 2);
+			return `${(50 + (45 * Math.cos(angle))).toFixed(2)} ${(50 + (45 * Math.sin(angle))).toFixed(2)}`;
+		};
+		return Array.from({ length: size }, (v, i) => ({
+			index: i,
+			filled: i < value,
+			path: `M 50 50 L ${point(i)} A 45 45 0 0 1 ${point(i + 1)} Z`
+		}));
+	}
+
+	/* -------------------------------------------- */
+
+	/** @override */
+	activateListeners(html) {
+		super.activateListeners(html);
+		html.find(".clock-segment").on("click", this._onClickSegment.bind(this));
+		html.find(".clocks-toggle").on("click", (event) => {
+			event.preventDefault();
+			this.collapsed = !this.collapsed;
+			this.render();
+		});
+		html.find(".clocks-config").on("click", (event) => {
+			event.preventDefault();
+			const menu = game.settings.menus.get("pbta.clocksMenu");
+			new menu.type().render(true);
+		});
+	}
+
+	/**
+	 * Fill a clock up to the clicked segment, or empty that segment if it is the last one filled.
+	 * @param {MouseEvent} event
+	 */
+	async _onClickSegment(event) {
+		event.preventDefault();
+		const id = event.currentTarget.closest("[data-clock-id]").dataset.clockId;
+		const clock = this.constructor.clocks.find((c) => c.id === id);
+		if (!clock) return;
+		let value = Number(event.currentTarget.dataset.segment) + 1;
+		if (value === clock.value) value--;
+		await this.constructor.updateClock(id, value);
+	}
+
+	/**
+	 * Set a clock's value, asking the GM to do so for players.
+	 * @param {string} id
+	 * @param {number} value
+	 * @returns {Promise<void>}
+	 */
+	static async updateClock(id, value) {
+		if (game.user.isGM) return this.onClockUpdate({ id, value, userId: game.user.id });
+		const clock = this.clocks.find((c) => c.id === id);
+		if (!clock?.visible || !clock.playerEdit) return;
+		if (!game.users.activeGM) {
+			ui.notifications.warn(game.i18n.localize("PBTA.Clocks.noGM"));
+			return;
+		}
+		game.socket.emit("system.pbta", { clockUpdate: { id, value, userId: game.user.id } });
+	}
+
+	/**
+	 * Save a clock's new value, checking that the user is allowed to tick it.
+	 * @param {object} update
+	 * @param {string} update.id
+	 * @param {number} update.value
+	 * @param {string} update.userId	The user who ticked the clock.
+	 * @returns {Promise<void>}
+	 */
+	static async onClockUpdate({ id, value, userId }) {
+		const user = game.users.get(userId);
+		const clocks = foundry.utils.deepClone(this.clocks);
+		const clock = clocks.find((c) => c.id === id);
+		if (!clock || !(user?.isGM || (clock.visible && clock.playerEdit))) return;
+		clock.value = Math.clamped(Number(value) || 0, 0, clock.size);
+		await game.settings.set("pbta", "clocks", clocks);
+	}
+}
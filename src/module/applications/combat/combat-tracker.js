@@ -1,3 +1,5 @@
+import { PbtaRollRequestDialog } from "../../forms/roll-request.js";
+
 export default class PbtACombatTracker extends CombatTracker {
 	/** @inheritdoc */
 	static get defaultOptions() {
@@ -130,6 +132,11 @@ export default class PbtACombatTracker extends CombatTracker {
 			return;
 		}
 
+		html.find(".roll-request").on("click", (event) => {
+			event.preventDefault();
+			new PbtaRollRequestDialog().render(true);
+		});
+
 		combatants.on("dragstart", (event) => {
 			// Set the drag data for later usage.
 			let dragData = event.currentTarget.dataset;
@@ -16,7 +16,8 @@ export default class PbtaItemSheet extends ItemSheet {
 			classes: ["pbta", "sheet", "item"],
 			width: 450,
 			height: 450,
-			tabs: [{ navSelector: ".sheet-tabs", contentSelector: ".sheet-body", initial: "description" }]
+			tabs: [{ navSelector: ".sheet-tabs", contentSelector: ".sheet-body", initial: "description" }],
+			dragDrop: [{ dragSelector: null, dropSelector: null }]
 		});
 	}
 
@@ -42,7 +43,13 @@ export default class PbtaItemSheet extends ItemSheet {
 				description: this.item.system.description
 			},
 
-			effects: this.item.effects.map((e) => foundry.utils.deepClone(e)),
+			effects: this.item.effects.map((effect) => ({
+				id: effect.id,
+				name: effect.name ?? effect.label,
+				icon: effect.img ?? effect.icon,
+				disabled: effect.disabled,
+				transfer: effect.transfer
+			})),
 			owner: this.item.isOwner,
 			limited: this.item.limited,
 			options: this.options,
@@ -94,8 +101,15 @@ export default class PbtaItemSheet extends ItemSheet {
 				context.enriched.choices = this.item.system?.choices ?? "";
 			}
 
+			context.triggerTypes = Object.fromEntries(CONFIG.PBTA.resultTriggers
+				.map((type) => [type, `PBTA.Triggers.Types.${type}`]));
+			context.followUpTypes = CONFIG.PBTA.followUpTypes;
+			const rollResults = sheetConfig?.rollResults ?? {};
 			for (let [key, moveResult] of Object.entries(context.system.moveResults)) {
 				context.system.moveResults[key].rangeName = `system.moveResults.${key}.value`;
+				context.system.moveResults[key].isCustom = !(key in rollResults);
+				context.system.moveResults[key].rangePlaceholder =
+					game.pbta.utils.formatResultRange(rollResults[key]);
 				context.enriched.moveResults[key].value =
 					await TextEditor.enrichHTML(moveResult.value, enrichmentOptions);
 			}
@@ -119,6 +133,17 @@ export default class PbtaItemSheet extends ItemSheet {
 				}
 				context.system.stats.formula = { label: game.i18n.localize("PBTA.Formula") };
 
+				// Numeric relationships can be rolled with a target.
+				const typeConfig = sheetConfig.actorTypes[actorType] ?? sheetConfig.actorTypes.character;
+				const attributes = this.actor?.system.attributes
+					?? { ...typeConfig?.attrTop, ...typeConfig?.attrLeft };
+				for (const [key, attr] of Object.entries(attributes)) {
+					if (attr?.type !== "Relationship" || attr.style === "boolean") continue;
+					context.system.stats[`relationship.${key}`] = {
+						label: game.i18n.format("PBTA.Relationship.rollWith", { label: attr.label })
+					};
+				}
+
 				if (context.system?.choices) {
 					context.enriched.choices = await TextEditor.enrichHTML(context.system.choices, enrichmentOptions);
 				}
@@ -130,10 +155,27 @@ export default class PbtaItemSheet extends ItemSheet {
 			} else if (this.item.type === "npcMove") {
 				context.system.rollExample = sheetConfig?.rollFormula ?? "2d6";
 			}
+		} else if (this.item.type === "playbook") {
+			context.improvementTypes = CONFIG.PBTA.improvementTypes;
+			const characterType = sheetConfig?.actorTypes[actorType]?.stats
+				? actorType
+				: "character";
+			context.stats = foundry.utils.deepClone(sheetConfig?.actorTypes[characterType]?.stats ?? {});
+			if (sheetConfig?.statToken) delete context.stats.token;
+			const { attrTop = {}, attrLeft = {} } = sheetConfig?.actorTypes[characterType] ?? {};
+			context.attributes = Object.fromEntries(Object.entries({ ...attrTop, ...attrLeft })
+				.filter(([key, attr]) => ["Number", "Clock", "Xp", "Resource", "Text", "LongText"].includes(attr.type))
+				.map(([key, attr]) => [key, {
+					label: attr.label,
+					isNumber: !["Text", "LongText"].includes(attr.type),
+					value: this.item.system.attributes?.[key] ?? ""
+				}]));
 		} else if (this.item.type === "equipment") {
 			const equipmentTypes = sheetConfig?.actorTypes[actorType]?.equipmentTypes
 				|| sheetConfig?.actorTypes.character?.equipmentTypes;
 			context.system.equipmentTypes = equipmentTypes ?? null;
+			context.equipmentStates = CONFIG.PBTA.equipmentStates;
+			context.hasLoad = !!sheetConfig?.load;
 		}
 
 		return context;
@@ -149,6 +191,281 @@ export default class PbtaItemSheet extends ItemSheet {
 			tagify.on("edit:start", ({ detail: { tag, data } }) => game.pbta.utils.TagHandler.onEdit(tagify, { tag, data }));
 		}
 		html.find(".regenerate-slug").on("click", this._onItemRegenerateSlug.bind(this));
+		if (!this.isEditable) return;
+		html.find(".result-create").on("click", this._onResultCreate.bind(this));
+		html.find(".result-delete").on("click", this._onResultDelete.bind(this));
+		html.find(".trigger-create").on("click", this._onTriggerCreate.bind(this));
+		html.find(".trigger-delete").on("click", this._onTriggerDelete.bind(this));
+		html.find(".option-create").on("click", this._onOptionCreate.bind(this));
+		html.find(".follow-up-create").on("click", this._onFollowUpCreate.bind(this));
+		html.find(".follow-up-delete").on("click", this._onFollowUpDelete.bind(this));
+		html.find(".option-delete").on("click", this._onOptionDelete.bind(this));
+		html.find(".modifier-create").on("click", this._onModifierCreate.bind(this));
+		html.find(".modifier-delete").on("click", this._onModifierDelete.bind(this));
+		html.find(".improvement-create").on("click", this._onImprovementCreate.bind(this));
+		html.find(".improvement-delete").on("click", this._onImprovementDelete.bind(this));
+		html.find(".grant-delete").on("click", this._onGrantDelete.bind(this));
+		html.find(".grant-create").on("click", this._onGrantCreate.bind(this));
+		html.find(".effect-control").on("click", this._onEffectControl.bind(this));
+	}
+
+	/**
+	 * Create, edit, toggle or delete an effect carried by the item.
+	 * @param {MouseEvent} event
+	 * @returns {Promise<*>}
+	 */
+	async _onEffectControl(event) {
+		event.preventDefault();
+		const { action } = event.currentTarget.dataset;
+		if (action === "create") {
+			return this.item.createEmbeddedDocuments("ActiveEffect", [{
+				name: this.item.name,
+				icon: this.item.img,
+				origin: this.item.uuid,
+				transfer: true
+			}]);
+		}
+		const effectId = event.currentTarget.closest(".effect")?.dataset.effectId;
+		const effect = this.item.effects.get(effectId);
+		if (!effect) return;
+		switch (action) {
+			case "edit":
+				return effect.sheet.render(true);
+			case "toggle":
+				return effect.update({ disabled: !effect.disabled });
+			case "delete":
+				return effect.deleteDialog();
+		}
+	}
+
+	/** @override */
+	async _onDrop(event) {
+		if (this.item.type !== "playbook" || !this.isEditable) return;
+		const data = TextEditor.getDragEventData(event);
+		if (data.type !== "Item") return;
+		const item = await Item.implementation.fromDropData(data);
+		const list = { move: "moves", equipment: "equipment" }[item?.type];
+		if (!list) return;
+		const grants = foundry.utils.deepClone(this.item.system[list] ?? []);
+		if (grants.some((g) => g.uuid === item.uuid)) return;
+		grants.push({ uuid: item.uuid, name: item.name });
+		return this.item.update({ [`system.${list}`]: grants });
+	}
+
+	/** @override */
+	_getSubmitData(updateData = {}) {
+		const data = foundry.utils.expandObject(super._getSubmitData(updateData));
+		// Triggers and options are submitted as objects keyed by index, but are stored as arrays.
+		for (const result of Object.values(data.system?.moveResults ?? {})) {
+			for (const list of ["triggers", "options", "followUps"]) {
+				if (result[list] && !Array.isArray(result[list])) {
+					result[list] = Object.values(result[list]);
+				}
+			}
+		}
+		for (const list of ["improvements", "moves", "equipment", "statArrays", "looks", "questions", "modifiers"]) {
+			if (data.system?.[list] && !Array.isArray(data.system[list])) {
+				data.system[list] = Object.values(data.system[list]);
+			}
+		}
+		return foundry.utils.flattenObject(data);
+	}
+
+	/**
+	 * Prompt for a label and add a move-specific result band.
+	 * @param {Event} event
+	 */
+	async _onResultCreate(event) {
+		event.preventDefault();
+		const label = await Dialog.prompt({
+			title: game.i18n.localize("PBTA.AddResult"),
+			content: `<div class="form-group"><label>${game.i18n.localize("PBTA.ResultLabel")}</label><input type="text" name="label"/></div>`,
+			label: game.i18n.localize("PBTA.Create"),
+			callback: (html) => html[0].querySelector('input[name="label"]')?.value.trim(),
+			rejectClose: false
+		});
+		if (!label) return;
+		const key = game.pbta.utils.cleanClass(label, false);
+		if (!key || this.item.system.moveResults?.[key]) return;
+		await this.item.update({
+			[`system.moveResults.${key}`]: {
+				key: `system.moveResults.${key}.value`,
+				label,
+				value: "",
+				range: ""
+			}
+		});
+	}
+
+	/**
+	 * Add a trigger to one of the move's results.
+	 * @param {Event} event
+	 */
+	async _onTriggerCreate(event) {
+		event.preventDefault();
+		const key = event.currentTarget.closest("[data-result]")?.dataset.result;
+		if (!key) return;
+		const triggers = foundry.utils.deepClone(this.item.system.moveResults[key]?.triggers ?? []);
+		triggers.push({ type: "attribute", attribute: "", value: 1, move: "", target: false });
+		await this.item.update({ [`system.moveResults.${key}.triggers`]: triggers });
+	}
+
+	/**
+	 * Remove a trigger from one of the move's results.
+	 * @param {Event} event
+	 */
+	async _onTriggerDelete(event) {
+		event.preventDefault();
+		const key = event.currentTarget.closest("[data-result]")?.dataset.result;
+		const index = Number(event.currentTarget.closest("[data-trigger]")?.dataset.trigger);
+		if (!key || Number.isNaN(index)) return;
+		const triggers = foundry.utils.deepClone(this.item.system.moveResults[key]?.triggers ?? []);
+		triggers.splice(index, 1);
+		await this.item.update({ [`system.moveResults.${key}.triggers`]: triggers });
+	}
+
+	/**
+	 * Add an option to choose from to one of the move's results.
+	 * @param {Event} event
+	 */
+	async _onOptionCreate(event) {
+		event.preventDefault();
+		const key = event.currentTarget.closest("[data-result]")?.dataset.result;
+		if (!key) return;
+		const options = foundry.utils.deepClone(this.item.system.moveResults[key]?.options ?? []);
+		options.push({ label: "", attribute: "", value: 0 });
+		await this.item.update({ [`system.moveResults.${key}.options`]: options });
+	}
+
+	/**
+	 * Remove an option from one of the move's results.
+	 * @param {Event} event
+	 */
+	async _onOptionDelete(event) {
+		event.preventDefault();
+		const key = event.currentTarget.closest("[data-result]")?.dataset.result;
+		const index = Number(event.currentTarget.closest("[data-option]")?.dataset.option);
+		if (!key || Number.isNaN(index)) return;
+		const options = foundry.utils.deepClone(this.item.system.moveResults[key]?.options ?? []);
+		options.splice(index, 1);
+		await this.item.update({ [`system.moveResults.${key}.options`]: options });
+	}
+
+	/**
+	 * Add a follow-up action to one of the move's results.
+	 * @param {Event} event
+	 */
+	async _onFollowUpCreate(event) {
+		event.preventDefault();
+		const key = event.currentTarget.closest("[data-result]")?.dataset.result;
+		if (!key) return;
+		const followUps = foundry.utils.deepClone(this.item.system.moveResults[key]?.followUps ?? []);
+		followUps.push({ type: "roll", key: "", label: "", target: false });
+		await this.item.update({ [`system.moveResults.${key}.followUps`]: followUps });
+	}
+
+	/**
+	 * Remove a follow-up action from one of the move's results.
+	 * @param {Event} event
+	 */
+	async _onFollowUpDelete(event) {
+		event.preventDefault();
+		const key = event.currentTarget.closest("[data-result]")?.dataset.result;
+		const index = Number(event.currentTarget.closest("[data-follow-up]")?.dataset.followUp);
+		if (!key || Number.isNaN(index)) return;
+		const followUps = foundry.utils.deepClone(this.item.system.moveResults[key]?.followUps ?? []);
+		followUps.splice(index, 1);
+		await this.item.update({ [`system.moveResults.${key}.followUps`]: followUps });
+	}
+
+	/**
+	 * Add a situational modifier to the move.
+	 * @param {Event} event
+	 */
+	async _onModifierCreate(event) {
+		event.preventDefault();
+		const modifiers = foundry.utils.deepClone(this.item.system.modifiers ?? []);
+		modifiers.push({ label: "", value: 1 });
+		await this.item.update({ "system.modifiers": modifiers });
+	}
+
+	/**
+	 * Remove a situational modifier from the move.
+	 * @param {Event} event
+	 */
+	async _onModifierDelete(event) {
+		event.preventDefault();
+		const index = Number(event.currentTarget.closest("[data-modifier]")?.dataset.modifier);
+		if (Number.isNaN(index)) return;
+		const modifiers = foundry.utils.deepClone(this.item.system.modifiers ?? []);
+		modifiers.splice(index, 1);
+		await this.item.update({ "system.modifiers": modifiers });
+	}
+
+	/**
+	 * Add an improvement to the playbook's advancement list.
+	 * @param {Event} event
+	 */
+	async _onImprovementCreate(event) {
+		event.preventDefault();
+		const improvements = foundry.utils.deepClone(this.item.system.improvements ?? []);
+		improvements.push({ id: foundry.utils.randomID(), label: "", type: "custom", stat: "", cap: null, limit: 1 });
+		await this.item.update({ "system.improvements": improvements });
+	}
+
+	/**
+	 * Remove an improvement from the playbook's advancement list.
+	 * @param {Event} event
+	 */
+	async _onImprovementDelete(event) {
+		event.preventDefault();
+		const index = Number(event.currentTarget.closest("[data-improvement]")?.dataset.improvement);
+		if (Number.isNaN(index)) return;
+		const improvements = foundry.utils.deepClone(this.item.system.improvements ?? []);
+		improvements.splice(index, 1);
+		await this.item.update({ "system.improvements": improvements });
+	}
+
+	/**
+	 * Remove an entry from one of the playbook's lists, such as a granted move or a stat array.
+	 * @param {Event} event
+	 */
+	async _onGrantDelete(event) {
+		event.preventDefault();
+		const { list, index } = event.currentTarget.closest("[data-list]")?.dataset ?? {};
+		if (!list || Number.isNaN(Number(index))) return;
+		const grants = foundry.utils.deepClone(this.item.system[list] ?? []);
+		grants.splice(Number(index), 1);
+		await this.item.update({ [`system.${list}`]: grants });
+	}
+
+	/**
+	 * Add a stat array, look or intro question to the playbook.
+	 * @param {Event} event
+	 */
+	async _onGrantCreate(event) {
+		event.preventDefault();
+		const list = event.currentTarget.dataset.list;
+		const defaults = {
+			statArrays: { label: "", values: {} },
+			looks: { label: "", options: "" },
+			questions: ""
+		};
+		if (!(list in defaults)) return;
+		const grants = foundry.utils.deepClone(this.item.system[list] ?? []);
+		grants.push(defaults[list]);
+		await this.item.update({ [`system.${list}`]: grants });
+	}
+
+	/**
+	 * Remove a move-specific result band.
+	 * @param {Event} event
+	 */
+	async _onResultDelete(event) {
+		event.preventDefault();
+		const key = event.currentTarget.closest("[data-result]")?.dataset.result;
+		if (!key) return;
+		await this.item.update({ [`system.moveResults.-=${key}`]: null });
 	}
 
 	_onItemRegenerateSlug(event) {
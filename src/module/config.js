@@ -11,10 +11,16 @@ PBTA.attrTypes = [
 	"ListMany",
 	"ListOne",
 	"Roll",
-	"Track"
+	"Track",
+	"Relationship"
 ];
 
 PBTA.sheetConfigs = [
+	"damage",
+	"endOfSession",
+	"dicePool",
+	"helpInterfere",
+	"load",
 	"maxMod",
 	"minMod",
 	"rollFormula",
@@ -23,11 +29,58 @@ PBTA.sheetConfigs = [
 	"statClock",
 	"statShifting",
 	"statToggle",
-	"statToken"
+	"statToken",
+	"targetNumber"
 ];
 
+PBTA.followUpTypes = {
+	roll: "PBTA.FollowUps.types.roll",
+	move: "PBTA.FollowUps.types.move",
+	table: "PBTA.FollowUps.types.table"
+};
+
+PBTA.bonusScopes = {
+	"": "PBTA.Bonuses.scopes.any",
+	stat: "PBTA.Bonuses.scopes.stat",
+	move: "PBTA.Bonuses.scopes.move",
+	moveType: "PBTA.Bonuses.scopes.moveType"
+};
+
+PBTA.bonusExpiry = {
+	roll: "PBTA.Bonuses.expiry.roll",
+	scene: "PBTA.Bonuses.expiry.scene",
+	session: "PBTA.Bonuses.expiry.session",
+	manual: "PBTA.Bonuses.expiry.manual"
+};
+
+PBTA.effectExpiry = {
+	"": "PBTA.Effects.expiry.manual",
+	session: "PBTA.Effects.expiry.session"
+};
+
+PBTA.equipmentStates = {
+	equipped: "PBTA.Load.states.equipped",
+	carried: "PBTA.Load.states.carried",
+	stowed: "PBTA.Load.states.stowed"
+};
+
+PBTA.improvementTypes = {
+	stat: "PBTA.Advancement.Types.stat",
+	move: "PBTA.Advancement.Types.move",
+	otherMove: "PBTA.Advancement.Types.otherMove",
+	retire: "PBTA.Advancement.Types.retire",
+	custom: "PBTA.Advancement.Types.custom"
+};
+
 PBTA.playbooks = [];
 
+PBTA.resultTriggers = [
+	"attribute",
+	"clock",
+	"forward",
+	"move"
+];
+
 PBTA.rollModes = {
 	def: "PBTA.Normal",
 	adv: "PBTA.Advantage",
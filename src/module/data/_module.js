@@ -1,4 +1,5 @@
 export { default as CharacterData } from "./actor/character.js";
+export { default as FrontData } from "./actor/front.js";
 export { default as NpcData } from "./actor/npc.js";
 export { default as OtherData } from "./actor/other.js";
 
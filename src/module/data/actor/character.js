@@ -1,4 +1,4 @@
-import { createActorResources } from "../shared.js";
+import { createActorResources, createAdvancementHistory } from "../shared.js";
 import { ActorDataTemplate } from "./templates/actor.js";
 
 export default class CharacterData extends ActorDataTemplate {
@@ -11,7 +11,8 @@ export default class CharacterData extends ActorDataTemplate {
 				slug: new foundry.data.fields.StringField({ initial: "" }),
 				uuid: new foundry.data.fields.StringField({ initial: "" })
 			}),
-			resources: createActorResources()
+			resources: createActorResources(),
+			advancements: createAdvancementHistory()
 		};
 	}
 }
@@ -0,0 +1,42 @@
+export default class FrontData extends foundry.abstract.TypeDataModel {
+	static defineSchema() {
+		return {
+			description: new foundry.data.fields.HTMLField({ initial: "" }),
+			dangers: new foundry.data.fields.ArrayField(
+				new foundry.data.fields.SchemaField({
+					id: new foundry.data.fields.StringField({ initial: "" }),
+					name: new foundry.data.fields.StringField({ initial: "" }),
+					type: new foundry.data.fields.StringField({ initial: "" }),
+					impulse: new foundry.data.fields.StringField({ initial: "" }),
+					description: new foundry.data.fields.StringField({ initial: "" })
+				})
+			),
+			portents: new foundry.data.fields.ArrayField(
+				new foundry.data.fields.SchemaField({
+					text: new foundry.data.fields.StringField({ initial: "" }),
+					danger: new foundry.data.fields.StringField({ initial: "" })
+				})
+			),
+			countdown: new foundry.data.fields.SchemaField({
+				value: new foundry.data.fields.NumberField({ initial: 0, integer: true, min: 0 })
+			}),
+			doom: new foundry.data.fields.SchemaField({
+				danger: new foundry.data.fields.StringField({ initial: "" }),
+				text: new foundry.data.fields.StringField({ initial: "" })
+			}),
+			stakes: new foundry.data.fields.ArrayField(new foundry.data.fields.StringField({ initial: "" }))
+		};
+	}
+
+	/**
+	 * The grim portents form a countdown clock, so that it can be shown as a token bar.
+	 */
+	prepareDerivedData() {
+		const max = this.portents.length;
+		this.countdown.type = "Clock";
+		this.countdown.label = game.i18n.localize("PBTA.Front.countdown");
+		this.countdown.max = max;
+		this.countdown.value = Math.clamped(this.countdown.value, 0, max);
+		this.countdown.steps = Array.from({ length: max }, (v, i) => i < this.countdown.value);
+	}
+}
@@ -1,4 +1,4 @@
-import { createActorResources } from "../shared.js";
+import { createActorResources, createAdvancementHistory } from "../shared.js";
 import { ActorDataTemplate } from "./templates/actor.js";
 
 export default class OtherData extends ActorDataTemplate {
@@ -7,6 +7,7 @@ export default class OtherData extends ActorDataTemplate {
 		return {
 			...superFields,
 			resources: createActorResources(),
+			advancements: createAdvancementHistory(),
 			customType: new foundry.data.fields.StringField({ initial: "" }),
 
 			// Character Data
@@ -20,6 +20,59 @@ export class ActorDataTemplate extends foundry.abstract.TypeDataModel {
 		};
 	}
 
+	/** @override */
+	prepareDerivedData() {
+		this._prepareLoad();
+	}
+
+	/**
+	 * Total the weight of carried equipment against the maximum load set by the Sheet Config.
+	 * Thresholds are checked in order of their value, which may be a formula using `@max`.
+	 */
+	_prepareLoad() {
+		const config = game.pbta.sheetConfig?.load;
+		if (!config || this.parent.baseType !== "character") return;
+
+		const stat = Number(this.stats?.[config.stat]?.value) || 0;
+		const max = config.base + stat;
+		const value = this.parent.items
+			.filter((i) => i.type === "equipment" && i.system.countsTowardsLoad)
+			.reduce((total, i) => total + ((Number(i.system.weight) || 0) * (Number(i.system.quantity) || 0)), 0);
+
+		const thresholds = config.thresholds.map((threshold) => {
+			let limit = threshold.value;
+			if (!Number.isNumeric(limit)) {
+				try {
+					limit = Roll.safeEval(Roll.replaceFormulaData(`${limit}`, { stats: this.stats, max }));
+				} catch(err) {
+					limit = max;
+				}
+			}
+			return { ...threshold, value: Number(limit) };
+		}).sort((a, b) => a.value - b.value);
+		const level = thresholds.find((t) => value <= t.value);
+		const over = thresholds.length ? !level : value > max;
+
+		this.load = {
+			label: config.label || game.i18n.localize("PBTA.Load.label"),
+			value,
+			max,
+			over,
+			level: level?.key ?? (over ? "over" : ""),
+			levelLabel: level?.label ?? (over ? game.i18n.localize("PBTA.Load.over") : ""),
+			mod: level?.mod ?? (over ? config.mod : 0),
+			warning: level?.warning ?? over
+		};
+
+		// Show the load on the attribute set aside for it.
+		const group = ["attrTop", "attrLeft"].find((g) => this[g]?.[config.attribute]);
+		const attr = this[group]?.[config.attribute];
+		if (attr && ["Number", "Resource"].includes(attr.type)) {
+			attr.value = value;
+			if (attr.type === "Resource") attr.max = max;
+		}
+	}
+
 	/**
 	 * Migrate source data from some prior format into a new specification.
 	 * The source parameter is either original data retrieved from disk or provided by an update operation.
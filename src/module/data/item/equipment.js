@@ -1,7 +1,43 @@
+import { FormulaField } from "../fields.js";
 import { createItemResources } from "../shared.js";
 import { ItemTemplateData } from "./templates/item.js";
 
 export default class EquipmentData extends ItemTemplateData {
+	/**
+	 * Whether the item's weight counts towards its owner's load.
+	 * @type {boolean}
+	 */
+	get countsTowardsLoad() {
+		return this.state !== "stowed";
+	}
+
+	/**
+	 * The damage mechanics read from the item's tags.
+	 * "+1 harm" adds to the damage, "ap" ignores armor and "2 piercing" ignores some of it.
+	 * @type {{bonus: number, ignoreArmor: boolean, piercing: number}}
+	 */
+	get damageTags() {
+		const damage = { bonus: 0, ignoreArmor: false, piercing: 0 };
+		let tags = [];
+		try {
+			tags = this.tags ? JSON.parse(this.tags) : [];
+		} catch(err) {
+			tags = this.tags.split(",").map((value) => ({ value }));
+		}
+		for (const { value = "" } of tags) {
+			const tag = value.trim().toLowerCase();
+			let match;
+			if ((match = tag.match(/^([+-]\d+)\s*(harm|damage|dmg)$/))) {
+				damage.bonus += Number(match[1]);
+			} else if ((match = tag.match(/^(\d+)\s*(piercing|ap)$/))) {
+				damage.piercing += Number(match[1]);
+			} else if (/^(ap|ignores armou?r)$/.test(tag)) {
+				damage.ignoreArmor = true;
+			}
+		}
+		return damage;
+	}
+
 	static defineSchema() {
 		const superFields = super.defineSchema();
 		return {
@@ -16,6 +52,11 @@ export default class EquipmentData extends ItemTemplateData {
 				initial: 0,
 				integer: true
 			}),
+			state: new foundry.data.fields.StringField({
+				initial: "carried",
+				choices: () => Object.keys(CONFIG.PBTA.equipmentStates)
+			}),
+			damage: new FormulaField({ initial: "" }),
 			tags: new foundry.data.fields.StringField({ initial: "" }),
 			itemType: new foundry.data.fields.StringField({ initial: "" }),
 			equipmentType: new foundry.data.fields.StringField({ initial: "" }),
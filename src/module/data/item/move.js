@@ -2,6 +2,14 @@ import { createItemResources, createMoveData } from "../shared.js";
 import { ItemTemplateData } from "./templates/item.js";
 
 export default class MoveData extends ItemTemplateData {
+	/**
+	 * Whether the move has hold, or any of its results grant some.
+	 * @type {boolean}
+	 */
+	get usesHold() {
+		return this.hold > 0 || Object.values(this.moveResults ?? {}).some((result) => result.hold > 0);
+	}
+
 	static defineSchema() {
 		const superFields = super.defineSchema();
 		return {
@@ -14,6 +22,17 @@ export default class MoveData extends ItemTemplateData {
 				initial: 0,
 				integer: true
 			}),
+			hold: new foundry.data.fields.NumberField({
+				initial: 0,
+				integer: true,
+				min: 0
+			}),
+			modifiers: new foundry.data.fields.ArrayField(
+				new foundry.data.fields.SchemaField({
+					label: new foundry.data.fields.StringField({ initial: "" }),
+					value: new foundry.data.fields.NumberField({ initial: 1, integer: true })
+				})
+			),
 			actorType: new foundry.data.fields.StringField({ initial: "" }),
 			choices: new foundry.data.fields.HTMLField()
 		};
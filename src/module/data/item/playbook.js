@@ -16,7 +16,46 @@ export default class PlaybookData extends ItemTemplateData {
 					}
 				}
 			}),
-			actorType: new foundry.data.fields.StringField({ initial: "" })
+			actorType: new foundry.data.fields.StringField({ initial: "" }),
+			moves: new foundry.data.fields.ArrayField(
+				new foundry.data.fields.SchemaField({
+					uuid: new foundry.data.fields.StringField({ initial: "" }),
+					name: new foundry.data.fields.StringField({ initial: "" }),
+					required: new foundry.data.fields.BooleanField({ initial: false })
+				})
+			),
+			moveChoices: new foundry.data.fields.NumberField({ initial: 0, integer: true, min: 0 }),
+			statArrays: new foundry.data.fields.ArrayField(
+				new foundry.data.fields.SchemaField({
+					label: new foundry.data.fields.StringField({ initial: "" }),
+					values: new foundry.data.fields.ObjectField()
+				})
+			),
+			equipment: new foundry.data.fields.ArrayField(
+				new foundry.data.fields.SchemaField({
+					uuid: new foundry.data.fields.StringField({ initial: "" }),
+					name: new foundry.data.fields.StringField({ initial: "" })
+				})
+			),
+			attributes: new foundry.data.fields.ObjectField(),
+			names: new foundry.data.fields.StringField({ initial: "" }),
+			looks: new foundry.data.fields.ArrayField(
+				new foundry.data.fields.SchemaField({
+					label: new foundry.data.fields.StringField({ initial: "" }),
+					options: new foundry.data.fields.StringField({ initial: "" })
+				})
+			),
+			questions: new foundry.data.fields.ArrayField(new foundry.data.fields.StringField({ initial: "" })),
+			improvements: new foundry.data.fields.ArrayField(
+				new foundry.data.fields.SchemaField({
+					id: new foundry.data.fields.StringField({ initial: "" }),
+					label: new foundry.data.fields.StringField({ initial: "" }),
+					type: new foundry.data.fields.StringField({ initial: "custom" }),
+					stat: new foundry.data.fields.StringField({ initial: "" }),
+					cap: new foundry.data.fields.NumberField({ initial: null, nullable: true, integer: true }),
+					limit: new foundry.data.fields.NumberField({ initial: 1, integer: true, min: 0 })
+				})
+			)
 		};
 	}
 }
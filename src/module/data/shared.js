@@ -18,10 +18,43 @@ export function createActorResources() {
 				integer: true
 			})
 		}),
+		bonuses: new MappingField(new foundry.data.fields.SchemaField({
+			label: new foundry.data.fields.StringField({ initial: "" }),
+			value: new foundry.data.fields.NumberField({
+				initial: 1,
+				integer: true
+			}),
+			scope: new foundry.data.fields.StringField({
+				initial: "",
+				choices: () => Object.keys(CONFIG.PBTA.bonusScopes)
+			}),
+			target: new foundry.data.fields.StringField({ initial: "" }),
+			expiry: new foundry.data.fields.StringField({
+				initial: "roll",
+				choices: () => Object.keys(CONFIG.PBTA.bonusExpiry)
+			})
+		})),
 		rollFormula: new FormulaField({ initial: "" })
 	});
 }
 
+/**
+ * Creates the history of the improvements an actor has taken.
+ * @returns {*}
+ */
+export function createAdvancementHistory() {
+	return new foundry.data.fields.ArrayField(
+		new foundry.data.fields.SchemaField({
+			improvement: new foundry.data.fields.StringField({ initial: "" }),
+			playbook: new foundry.data.fields.StringField({ initial: "" }),
+			type: new foundry.data.fields.StringField({ initial: "custom" }),
+			label: new foundry.data.fields.StringField({ initial: "" }),
+			detail: new foundry.data.fields.StringField({ initial: "" }),
+			timestamp: new foundry.data.fields.NumberField({ initial: null, nullable: true })
+		})
+	);
+}
+
 /**
  * Creates the base item resources.
  * @returns {*}
@@ -47,7 +80,45 @@ export function createMoveData() {
 			new foundry.data.fields.SchemaField({
 				key: new foundry.data.fields.StringField({ initial: "" }),
 				label: new foundry.data.fields.StringField({ initial: "" }),
-				value: new foundry.data.fields.HTMLField()
+				value: new foundry.data.fields.HTMLField(),
+				range: new foundry.data.fields.StringField({ initial: "" }),
+				hold: new foundry.data.fields.NumberField({
+					initial: 0,
+					integer: true,
+					min: 0
+				}),
+				choose: new foundry.data.fields.NumberField({
+					initial: 0,
+					integer: true,
+					min: 0
+				}),
+				options: new foundry.data.fields.ArrayField(
+					new foundry.data.fields.SchemaField({
+						label: new foundry.data.fields.StringField({ initial: "" }),
+						attribute: new foundry.data.fields.StringField({ initial: "" }),
+						value: new foundry.data.fields.NumberField({ initial: 0, integer: true })
+					})
+				),
+				followUps: new foundry.data.fields.ArrayField(
+					new foundry.data.fields.SchemaField({
+						type: new foundry.data.fields.StringField({
+							initial: "roll",
+							choices: () => Object.keys(CONFIG.PBTA.followUpTypes)
+						}),
+						key: new foundry.data.fields.StringField({ initial: "" }),
+						label: new foundry.data.fields.StringField({ initial: "" }),
+						target: new foundry.data.fields.BooleanField({ initial: false })
+					})
+				),
+				triggers: new foundry.data.fields.ArrayField(
+					new foundry.data.fields.SchemaField({
+						type: new foundry.data.fields.StringField({ initial: "attribute" }),
+						attribute: new foundry.data.fields.StringField({ initial: "" }),
+						value: new foundry.data.fields.NumberField({ initial: 1, integer: true }),
+						move: new foundry.data.fields.StringField({ initial: "" }),
+						target: new foundry.data.fields.BooleanField({ initial: false })
+					})
+				)
 			})
 		)
 	};
@@ -1,6 +1,8 @@
 export default class RollPbtA extends Roll {
 	static EVALUATION_TEMPLATE = "systems/pbta/templates/chat/roll-dialog.html";
 
+	static CHAT_TEMPLATE = "systems/pbta/templates/chat/chat-move.html";
+
 	/**
 	 * A convenience reference for whether this RollPbtA has advantage
 	 * @type {boolean}
@@ -19,6 +21,206 @@ export default class RollPbtA extends Roll {
 		return this.options.rollMode === "dis";
 	}
 
+	/**
+	 * A convenience reference for whether this RollPbtA is a dice pool
+	 * @type {boolean}
+	 */
+	get isDicePool() {
+		return !!this.options.dicePool;
+	}
+
+	/* -------------------------------------------- */
+
+	/**
+	 * A convenience reference for whether this RollPbtA counts dice that beat a target number
+	 * @type {boolean}
+	 */
+	get isTargetNumber() {
+		return !!this.options.targetNumber;
+	}
+
+	/* -------------------------------------------- */
+
+	/**
+	 * Whether dice succeed by rolling "under" or "over" the target number, which may differ per stat.
+	 * @type {string}
+	 */
+	get targetMode() {
+		const { mode } = game.pbta.sheetConfig.targetNumber ?? {};
+		return (typeof mode === "object" ? mode[this.options.stat] : mode) ?? "under";
+	}
+
+	/* -------------------------------------------- */
+
+	/**
+	 * Merge the Sheet Config's result ranges with a move's own ranges.
+	 * Ranges the move adds under new keys take precedence over the Sheet Config's.
+	 * @param {object} [moveResults]	The moveResults of the rolled move, if any.
+	 * @returns {object}
+	 */
+	static getResultRanges(moveResults = {}) {
+		const resultRanges = foundry.utils.deepClone(game.pbta.sheetConfig.rollResults ?? {});
+		const extraRanges = {};
+		for (const [key, { label, range }] of Object.entries(moveResults ?? {})) {
+			const parsed = game.pbta.utils.parseResultRange(range);
+			if (!parsed) continue;
+			if (key in resultRanges) {
+				Object.assign(resultRanges[key], parsed);
+			} else {
+				extraRanges[key] = { ...parsed, label: label || key };
+			}
+		}
+		return { ...extraRanges, ...resultRanges };
+	}
+
+	/* -------------------------------------------- */
+
+	/**
+	 * Find the result key whose range contains the given total.
+	 * A result without a start or an end matches any total, except for a dice pool's critical,
+	 * which is only reached by rolling several max faces.
+	 * @param {number} total
+	 * @param {object} resultRanges
+	 * @returns {string|null}
+	 */
+	static getResultType(total, resultRanges = {}) {
+		for (let [resultKey, resultRange] of Object.entries(resultRanges)) {
+			let { start, end, noRange } = resultRange;
+			if (noRange) continue;
+			if ((!start || total >= start) && (!end || total <= end)) {
+				return resultKey;
+			}
+		}
+		return null;
+	}
+
+	/* -------------------------------------------- */
+
+	/**
+	 * Work out the label, details and hold of a chat card's current result.
+	 * @param {object} card	The chat card's flags.
+	 * @returns {object}
+	 */
+	static getCardResult(card) {
+		const { resultType, resultRanges = {}, moveResults = {} } = card;
+		return {
+			result: resultType,
+			resultLabel: resultRanges[resultType]?.label ?? resultType,
+			resultDetails: moveResults[resultType]?.value ?? null,
+			hold: moveResults[resultType]?.hold ?? 0,
+			choose: moveResults[resultType]?.choose ?? 0,
+			options: moveResults[resultType]?.options ?? [],
+			followUps: moveResults[resultType]?.followUps ?? []
+		};
+	}
+
+	/* -------------------------------------------- */
+
+	/**
+	 * Keep the parts of a move's results that a chat card needs to render and update itself.
+	 * @param {object} [moveResults]	The moveResults of the rolled move, if any.
+	 * @returns {object}
+	 */
+	static getCardMoveResults(moveResults = {}) {
+		return Object.fromEntries(Object.entries(moveResults ?? {})
+			.map(([key, { value, hold, choose, options, followUps }]) => [key, {
+				value,
+				hold,
+				choose,
+				options: (options ?? []).filter((o) => o.label),
+				followUps: (followUps ?? []).filter((f) => f.key)
+			}]));
+	}
+
+	/* -------------------------------------------- */
+
+	/**
+	 * Render a rolled chat card from its roll and the state stored in the message's flags.
+	 * @param {RollPbtA} roll
+	 * @param {object} card	The chat card's flags.
+	 * @returns {Promise<string>}
+	 */
+	static async renderChatCard(roll, card) {
+		const shifts = (card.shifts ?? []).map((shift) => {
+			const modifier = shift.amount >= 0 ? `+${shift.amount}` : shift.amount;
+			const key = shift.type === "shift" ? "PBTA.ChatMessage.Shifted" : `PBTA.HelpInterfere.${shift.type}Applied`;
+			return game.i18n.format(key, { actor: shift.name, modifier });
+		});
+		const triggers = (card.triggers ?? []).map((record, index) => {
+			const text = game.i18n.format(`PBTA.Triggers.${record.highlight ? "highlight" : record.type}`, {
+				label: record.label,
+				stat: card.statLabel ?? record.highlight,
+				value: record.value,
+				amount: record.value - record.previous >= 0
+					? `+${record.value - record.previous}`
+					: record.value - record.previous
+			});
+			return {
+				index,
+				undone: record.undone,
+				text: record.target ? game.i18n.format("PBTA.Triggers.target", { target: record.target, text }) : text
+			};
+		});
+		const result = this.getCardResult(card);
+		const picks = card.picks ?? [];
+		return renderTemplate(this.CHAT_TEMPLATE, {
+			...card,
+			triggers,
+			...result,
+			resultOptions: result.options.map((option, index) => ({
+				...option,
+				index,
+				picked: picks.some((p) => p.index === index)
+			})),
+			picked: picks.length,
+			followUps: result.followUps
+				.map((followUp, index) => ({
+					index,
+					label: followUp.label || this.getFollowUpLabel(followUp),
+					actorUuid: followUp.target ? card.targets?.[0]?.uuid : null
+				}))
+				.filter((followUp) => !result.followUps[followUp.index].target || followUp.actorUuid),
+			actor: card.actorId ? { _id: card.actorId } : null,
+			item: card.itemId ? { _id: card.itemId } : null,
+			stat: card.statLabel,
+			shifts,
+			rollPbta: await roll.render()
+		});
+	}
+
+	/**
+	 * The default label of a follow-up button: the name of its move or table, or the rolled attribute's key.
+	 * @param {object} followUp
+	 * @param {string} followUp.type
+	 * @param {string} followUp.key	An attribute key, or a move or table's name or UUID.
+	 * @returns {string}
+	 */
+	static getFollowUpLabel({ type, key }) {
+		const name = (key.includes(".") && fromUuidSync(key)?.name) || key;
+		return game.i18n.format(`PBTA.FollowUps.buttons.${type}`, { name });
+	}
+
+	/* -------------------------------------------- */
+
+	/**
+	 * Add a flat modifier to an evaluated roll and update its total.
+	 * @param {number} amount
+	 * @returns {RollPbtA}	This roll.
+	 */
+	shift(amount) {
+		const terms = [
+			new OperatorTerm({ operator: amount < 0 ? "-" : "+" }),
+			new NumericTerm({ number: Math.abs(amount) })
+		];
+		for (const term of terms) term.evaluate({ async: false });
+		this.terms.push(...terms);
+		this._formula = this.constructor.getFormula(this.terms);
+		this._total = this._evaluateTotal();
+		return this;
+	}
+
+	/* -------------------------------------------- */
+
 	/** @override */
 	async toMessage(messageData={}, { rollMode, create=true }={}) {
 
@@ -27,56 +229,77 @@ export default class RollPbtA extends Roll {
 			await this.evaluate({ async: true });
 		}
 
-		const resultRanges = game.pbta.sheetConfig.rollResults;
-		let resultLabel = null;
-		let resultDetails = null;
-		let resultType = null;
+		const {
+			actor, item, tokenId = null, image, title, tags,
+			...chatData
+		} = messageData;
+		const moveResults = this.data?.moveResults ?? {};
+		const resultRanges = this.constructor.getResultRanges(moveResults);
 		let stat = this.options.stat;
+		let statLabel;
 		let statMod;
 
 		// Iterate through each result range until we find a match.
-		for (let [resultKey, resultRange] of Object.entries(resultRanges)) {
-			let { start, end } = resultRange;
-			if ((!start || this.total >= start) && (!end || this.total <= end)) {
-				resultType = resultKey;
-				break;
+		let resultType = this.constructor.getResultType(this.total, resultRanges);
+
+		// Dice pools turn multiple max faces into a critical.
+		if (this.isDicePool && !this.options.dicePool.zero) {
+			const { critical } = game.pbta.sheetConfig.dicePool ?? {};
+			const pool = this.dice[0];
+			const maxFaces = pool?.results.filter((r) => r.result === pool.faces).length ?? 0;
+			if (critical && resultRanges[critical] && maxFaces > 1) {
+				resultType = critical;
 			}
 		}
 
-		this.options.resultType = resultType;
-		// Update the templateData.
-		resultLabel = resultRanges[resultType]?.label ?? resultType;
-		resultDetails = this.data?.moveResults?.[resultType]?.value ?? null;
-
 		// Add the stat label.
 		if (stat && this.data.stats[stat]) {
 			statMod = this.data.stats[stat].value;
-			stat = game.pbta.sheetConfig.actorTypes[this.options.sheetType]?.stats[stat]?.label ?? stat;
+			statLabel = game.pbta.sheetConfig.actorTypes[this.options.sheetType]?.stats[stat]?.label ?? stat;
+		} else if (this.options.relationship) {
+			statMod = this.options.relationship.value;
+			statLabel = this.options.relationship.label;
 		}
 
+		// The card is rendered from these flags, so that it can be updated without touching its HTML.
+		const card = {
+			actorId: actor?.id ?? null,
+			itemId: item?.id ?? null,
+			itemUuid: item?.uuid ?? null,
+			tokenId,
+			image,
+			title,
+			tags,
+			details: this.data.description,
+			choices: this.data.choices,
+			rollType: this.options.rollType,
+			stat,
+			statLabel,
+			statMod,
+			conditions: this.options.conditions,
+			modifiers: this.options.usedModifiers,
+			originalMod: this.options.originalMod,
+			resultType,
+			resultRanges,
+			moveResults: this.constructor.getCardMoveResults(moveResults),
+			helpInterfere: !!(game.pbta.sheetConfig.helpInterfere && resultType && !this.options.helpTarget),
+			targets: this.options.targets ?? [],
+			shifts: []
+		};
+		this.options.resultType = resultType;
+		this.options.hold = this.constructor.getCardResult(card).hold;
+
 		// Prepare chat data
 		messageData = foundry.utils.mergeObject({
 			user: game.user.id,
 			type: CONST.CHAT_MESSAGE_TYPES.ROLL,
-			content: String(this.total),
 			sound: CONFIG.sounds.dice,
-
-			conditions: this.options.conditions,
-			choices: this.data.choices,
-			details: this.data.description,
-			originalMod: this.options.originalMod,
-			result: resultType,
-			resultDetails,
-			resultLabel,
-			resultRanges,
-			stat,
-			statMod
-		}, messageData);
+			flags: {
+				pbta: { card }
+			}
+		}, chatData);
 		messageData.rolls = [this];
-
-		// These are abominations from the refactoring but I couldn't figure out how to merge everything into a single ChatMessage.create call
-		messageData.rollPbta = await this.render();
-		messageData.content = await renderTemplate("systems/pbta/templates/chat/chat-move.html", messageData);
+		messageData.content = await this.constructor.renderChatCard(this, card);
 
 		// Either create the message or just return the chat data
 		const cls = getDocumentClass("ChatMessage");
@@ -91,6 +314,44 @@ export default class RollPbtA extends Roll {
 		return msg.toObject();
 	}
 
+	/**
+	 * Apply the triggers that the Sheet Config and the rolled move declare for this roll's result,
+	 * and list each change on the roll's chat card so that it can be undone.
+	 * Triggers marked for the target are applied to each of the roll's targets instead.
+	 * @param {ChatMessage} message	The roll's chat message.
+	 * @param {Actor} actor			The actor that made the roll.
+	 * @returns {Promise<object[]>}	The records of the applied triggers.
+	 */
+	async applyTriggers(message, actor) {
+		const { resultType } = this.options;
+		if (!resultType || !message || !actor) return [];
+		const triggers = [
+			...(game.pbta.sheetConfig.rollResults?.[resultType]?.triggers ?? []),
+			...(this.data?.moveResults?.[resultType]?.triggers ?? [])
+		];
+
+		// Rolling a highlighted stat marks experience.
+		const { stat } = this.options;
+		const { xp } = game.pbta.sheetConfig.statToggle || {};
+		if (xp && stat && actor.system.stats?.[stat]?.toggle) {
+			triggers.push({ type: "attribute", attribute: xp, value: 1, highlight: stat });
+		}
+		if (!triggers.length) return [];
+		const records = await actor.applyTriggers(triggers.filter((t) => !t.target));
+		if (records.length) {
+			await CONFIG.Item.documentClass.updateChatCard(message, { triggers: records });
+		}
+		const targetTriggers = triggers.filter((t) => t.target);
+		if (targetTriggers.length) {
+			for (const { uuid } of this.options.targets ?? []) {
+				records.push(...await CONFIG.Item.documentClass.applyTargetTriggers(message, uuid, targetTriggers));
+			}
+		}
+		return records;
+	}
+
+	/* -------------------------------------------- */
+
 	/**
 	 * Apply optional modifiers which customize the behavior of the d20term
 	 * @private
@@ -99,41 +360,34 @@ export default class RollPbtA extends Roll {
 		const r = this.terms[0];
 
 		// Handle Advantage or Disadvantage
-		if (this.hasAdvantage) {
-			r.modifiers.push(`kh${r.number}`);
+		if (this.isDicePool && (this.hasAdvantage || this.hasDisadvantage)) {
+			// Dice pools gain or lose a die instead.
+			this.terms.push(new OperatorTerm({ operator: this.hasAdvantage ? "+" : "-" }), new NumericTerm({ number: 1 }));
+			this.options.conditions.push(game.i18n.localize(this.hasAdvantage ? "PBTA.Advantage" : "PBTA.Disadvantage"));
+		} else if (this.hasAdvantage) {
+			// Rolling under a target number keeps the lowest dice instead.
+			r.modifiers.push(`${this.isTargetNumber && this.targetMode === "under" ? "kl" : "kh"}${r.number}`);
 			r.number += 1;
 			r.options.advantage = true;
 			this.options.conditions.push(game.i18n.localize("PBTA.Advantage"));
 		} else if (this.hasDisadvantage) {
-			r.modifiers.push(`kl${r.number}`);
+			r.modifiers.push(`${this.isTargetNumber && this.targetMode === "under" ? "kh" : "kl"}${r.number}`);
 			r.number += 1;
 			r.options.disadvantage = true;
 			this.options.conditions.push(game.i18n.localize("PBTA.Disadvantage"));
 		}
 
-		const { forward, ongoing } = this.data?.resources ?? {};
-		if (forward?.value) {
-			const fRoll = new Roll(`${forward.value}`, this.data);
-			if (!(fRoll.terms[0] instanceof OperatorTerm)) {
-				this.terms.push(new OperatorTerm({ operator: "+" }));
-			}
-			this.terms = this.terms.concat(fRoll.terms);
-			this.options.conditions.push(`${game.i18n.localize("PBTA.Forward")} (${forward.value >= 0 ? "+" : ""} ${forward.value})`);
-		}
-		if (ongoing?.value) {
-			const oRoll = new Roll(`${ongoing.value}`, this.data);
-			if (!(oRoll.terms[0] instanceof OperatorTerm)) {
-				this.terms.push(new OperatorTerm({ operator: "+" }));
-			}
-			this.terms = this.terms.concat(oRoll.terms);
-			this.options.conditions.push(`${game.i18n.localize("PBTA.Ongoing")} (${ongoing.value >= 0 ? "+" : ""} ${ongoing.value})`);
-		}
-
 		// Re-compile the underlying formula
 		this._formula = this.constructor.getFormula(this.terms);
 
+		if (this.isDicePool) {
+			this._configureDicePool();
+		} else if (this.isTargetNumber) {
+			this._configureTargetNumber();
+		}
+
 		let { minMod, maxMod } = game.pbta.sheetConfig;
-		if (minMod || maxMod) {
+		if (!this.isDicePool && !this.isTargetNumber && (minMod || maxMod)) {
 			minMod ??= -Infinity;
 			maxMod ??= Infinity;
 			let [baseFormula, modifierString = "0"] = this.formula.split(/([+-].*)/s);
@@ -153,6 +407,71 @@ export default class RollPbtA extends Roll {
 		this.options.configured = true;
 	}
 
+	/**
+	 * Replace the formula's modifiers with a pool of dice of the same size,
+	 * keeping the highest die. Empty pools roll two dice and keep the lowest.
+	 * @private
+	 */
+	_configureDicePool() {
+		const { faces = 6 } = game.pbta.sheetConfig.dicePool ?? {};
+		let size = 0;
+		try {
+			// The pool's size must be known before rolling, so bonuses can't add dice to it.
+			if (!this.isDeterministic) throw new Error("Dice pool formulas can't contain dice.");
+			size = Math.floor(Roll.safeEval(this.formula));
+		} catch(err) {
+			console.error("Invalid dice pool formula:", this.formula, err);
+			ui.notifications.warn(game.i18n.format("PBTA.DicePool.invalid", { formula: this.formula }));
+		}
+		const zero = size <= 0;
+		this.terms = [new Die({
+			number: zero ? 2 : size,
+			faces,
+			modifiers: [zero ? "kl" : "kh"]
+		})];
+		this._formula = this.constructor.getFormula(this.terms);
+		this.options.dicePool = { size: Math.max(size, 0), zero };
+		this.options.conditions.push(zero
+			? game.i18n.localize("PBTA.DicePool.zero")
+			: game.i18n.format("PBTA.DicePool.size", { size }));
+	}
+
+	/**
+	 * Count the dice that roll under or over the target number, so that the total
+	 * is the number of successes plus any modifiers.
+	 * The target is the rolled stat, an attribute such as "attrTop.skill", or a fixed number.
+	 * A highlighted stat moves the target number in the roller's favor rather than adding a success.
+	 * @private
+	 */
+	_configureTargetNumber() {
+		const { target = "stat" } = game.pbta.sheetConfig.targetNumber ?? {};
+		let value;
+		if (target === "stat") {
+			value = this.data.stats?.[this.options.stat]?.value;
+		} else if (Number.isNumeric(target)) {
+			value = Number(target);
+		} else {
+			value = foundry.utils.getProperty(this.data, target);
+			if (typeof value === "object") value = value?.value;
+		}
+		value = Number(value);
+		const die = this.dice[0];
+		if (!die || !Number.isFinite(value)) {
+			this.options.targetNumber = false;
+			return;
+		}
+
+		const mode = this.targetMode;
+		const toggle = this.data.stats?.[this.options.stat]?.toggle
+			? Number(game.pbta.sheetConfig.statToggle?.modifier) || 0
+			: 0;
+		value += mode === "over" ? -toggle : toggle;
+		die.modifiers.push(`cs${mode === "over" ? ">=" : "<="}${value}`);
+		this._formula = this.constructor.getFormula(this.terms);
+		this.options.targetNumber = { mode, value };
+		this.options.conditions.push(game.i18n.format(`PBTA.TargetNumber.${mode}`, { value }));
+	}
+
 	/**
 	 * Create a Dialog prompt used to configure evaluation of an existing Roll instance.
 	 * @param {object} data                     Dialog configuration data
@@ -164,15 +483,24 @@ export default class RollPbtA extends Roll {
 	 */
 	async configureDialog({ template, templateData = {}, title } = {}, options = {}) {
 		this.options.conditions = [];
+		this.options.usedConditions = [];
+		this.options.usedBonuses = [];
+		this.options.usedModifiers = [];
+		const conditionGroups = this.getConditionGroups();
+		const bonuses = this.getBonuses();
 		const needsDialog =
 			this.data.rollType === "ask"
 			|| this.data.rollType === "prompt"
-			|| this.data.conditionGroups.length > 0
+			|| conditionGroups.some((g) => g.conditions.some((c) => !c.automatic))
+			|| bonuses.some((b) => !b.automatic)
+			|| this.options.modifiers?.length
 			|| (templateData.isStatToken && templateData.numOfToken);
 
 		if (needsDialog) {
 			templateData = foundry.utils.mergeObject(templateData, {
-				conditionGroups: this.data.conditionGroups,
+				conditionGroups,
+				bonuses,
+				modifiers: this.options.modifiers ?? [],
 				hasPrompt: this.data.rollType === "prompt"
 			});
 
@@ -217,10 +545,111 @@ export default class RollPbtA extends Roll {
 				).render(true);
 			});
 		}
+		this._applyConditions(conditionGroups.flatMap((g) => g.conditions).filter((c) => c.automatic));
+		this._applyBonuses(bonuses.filter((b) => b.automatic));
 		this.configureModifiers();
 		return true;
 	}
 
+	/**
+	 * The actor's forward, ongoing and bonuses that apply to this roll's stat, move or move type.
+	 * Forward and ongoing are automatic: they apply even when no dialog is shown.
+	 * When the stat is only chosen in the dialog, bonuses for any stat are offered.
+	 * @param {string} [stat]	The stat being rolled, if different from the roll's options.
+	 * @returns {object[]}
+	 */
+	getBonuses(stat = this.options.stat) {
+		const { bonusApplies } = CONFIG.Actor.documentClass;
+		const anyStat = !stat && this.data.rollType === "ask";
+		const { forward, ongoing, bonuses = {} } = this.data?.resources ?? {};
+		const list = [];
+		if (forward?.value) {
+			list.push({ id: "forward", label: game.i18n.localize("PBTA.Forward"), value: forward.value, expiry: "roll", automatic: true });
+		}
+		if (ongoing?.value) {
+			list.push({ id: "ongoing", label: game.i18n.localize("PBTA.Ongoing"), value: ongoing.value, expiry: "manual", automatic: true });
+		}
+		for (const [id, bonus] of Object.entries(bonuses)) {
+			if (!bonus.value) continue;
+			const applies = (anyStat && bonus.scope === "stat")
+				|| bonusApplies(bonus, { stat, move: this.options.move, moveType: this.options.moveType });
+			if (!applies) continue;
+			list.push({ ...bonus, id, label: bonus.label || game.i18n.localize("PBTA.Bonuses.bonus") });
+		}
+		return list;
+	}
+
+	/**
+	 * Add the values of bonuses to the formula.
+	 * @param {object[]} bonuses
+	 * @private
+	 */
+	_applyBonuses(bonuses) {
+		for (const { id, label, value } of bonuses) {
+			this.options.conditions.push(`${label} (${value >= 0 ? "+" : ""}${value})`);
+			this.options.usedBonuses.push(id);
+			const bonus = new Roll(`${value}`, this.data);
+			if (!(bonus.terms[0] instanceof OperatorTerm)) {
+				this.terms.push(new OperatorTerm({ operator: "+" }));
+			}
+			this.terms = this.terms.concat(bonus.terms);
+		}
+	}
+
+	/**
+	 * The actor's conditions that are relevant to this roll's stat or move.
+	 * When the stat is only chosen in the dialog, conditions for any stat are offered.
+	 * @param {string} [stat]	The stat being rolled, if different from the roll's options.
+	 * @returns {object[]}
+	 */
+	getConditionGroups(stat = this.options.stat) {
+		const { conditionAffects } = CONFIG.Actor.documentClass;
+		const anyStat = !stat && this.data.rollType === "ask";
+		const groups = [...(this.data.conditionGroups ?? [])];
+
+		// Being over a load threshold applies its modifier, or at least a warning.
+		const { load } = this.data;
+		if (load?.mod || load?.warning) {
+			groups.push({
+				key: "load",
+				label: load.label,
+				conditions: [{
+					key: "",
+					label: load.mod ? `${load.levelLabel} (${load.mod > 0 ? "+" : ""}${load.mod})` : load.levelLabel,
+					mod: load.mod,
+					automatic: true
+				}]
+			});
+		}
+
+		return groups
+			.map((group) => ({
+				...group,
+				conditions: group.conditions.filter((c) => (anyStat && c.stats?.length)
+					|| conditionAffects(c, { stat, move: this.options.move }))
+			}))
+			.filter((group) => group.conditions.length);
+	}
+
+	/**
+	 * Add the modifiers of conditions to the formula.
+	 * @param {object[]} conditions
+	 * @private
+	 */
+	_applyConditions(conditions) {
+		for (const { key, mod, label } of conditions) {
+			this.options.conditions.push(label);
+			if (key) this.options.usedConditions.push(key);
+			// Conditions without a modifier, such as load warnings, are only listed.
+			if (!mod) continue;
+			const bonus = new Roll(`${mod}`, this.data);
+			if (!(bonus.terms[0] instanceof OperatorTerm)) {
+				this.terms.push(new OperatorTerm({ operator: "+" }));
+			}
+			this.terms = this.terms.concat(bonus.terms);
+		}
+	}
+
 	/**
 	 * Handle submission of the Roll evaluation configuration Dialog
 	 * @param {jQuery} html            The submitted dialog content
@@ -242,7 +671,7 @@ export default class RollPbtA extends Roll {
 		// Append a situational bonus term
 		if (stat) {
 			this.options.stat = stat;
-			addToFormula(`@stats.${stat}.value`);
+			if (!this.isTargetNumber) addToFormula(`@stats.${stat}.value`);
 		}
 
 		// Customize the modifier
@@ -250,20 +679,28 @@ export default class RollPbtA extends Roll {
 			addToFormula(`${form.prompt.value}`);
 		}
 
-		if (form?.condition) {
-			let conditions = [];
-			if (form.condition.length) {
-				conditions = Array.from(form.condition).filter((c) => c.checked);
-			} else if (form.condition.checked) {
-				conditions.push(form.condition);
-			}
-			for (let condition of conditions) {
-				let { mod, content } = condition.dataset;
-				addToFormula(`${mod}`);
-				this.options.conditions.push(content);
-			}
+		// Apply the chosen conditions, and those that apply automatically, if they affect the rolled stat.
+		const checked = new Set(Array.from(form?.querySelectorAll("[name=condition]:checked") ?? [])
+			.map((c) => c.value));
+		const conditions = this.getConditionGroups(this.options.stat)
+			.flatMap((g) => g.conditions)
+			.filter((c) => c.automatic || checked.has(c.key));
+		this._applyConditions(conditions);
+
+		// Apply the move's situational modifiers that were picked.
+		const picked = Array.from(form?.querySelectorAll("[name=modifier]:checked") ?? [])
+			.map((m) => this.options.modifiers?.[Number(m.value)])
+			.filter((m) => m);
+		for (const { label, value } of picked) {
+			addToFormula(`${value}`);
+			this.options.usedModifiers.push(`${label} (${value >= 0 ? "+" : ""}${value})`);
 		}
 
+		// Apply the chosen bonuses.
+		const chosen = new Set(Array.from(form?.querySelectorAll("[name=bonus]:checked") ?? [])
+			.map((b) => b.value));
+		this._applyBonuses(this.getBonuses(this.options.stat).filter((b) => chosen.has(b.id)));
+
 		// Apply advantage or disadvantage
 		this.configureModifiers();
 		return this;
@@ -1,3 +1,4 @@
+export { default as ActiveEffectPbta } from "./active-effect.js";
 export { default as ActorPbta } from "./actor.js";
 export { default as CombatantPbtA } from "./combatant.js";
 export { default as ItemPbta } from "./item.js";
@@ -0,0 +1,55 @@
+/**
+ * Extends the basic ActiveEffect class so that effects can be tied to an actor's conditions.
+ * @extends {ActiveEffect}
+ */
+export default class ActiveEffectPbta extends ActiveEffect {
+	/**
+	 * The actor this effect applies to, whether it is owned by the actor or by one of its items.
+	 * @type {Actor|null}
+	 */
+	get actor() {
+		if (this.parent instanceof Actor) return this.parent;
+		return this.parent?.parent instanceof Actor ? this.parent.parent : null;
+	}
+
+	/**
+	 * The condition option this effect is tied to, stored as "<attribute>.<option>".
+	 * @type {{key: string, attr: object, option: object}|null}
+	 */
+	get condition() {
+		const key = this.getFlag("pbta", "condition");
+		if (!key) return null;
+		const [attrKey, optionKey] = key.split(".");
+		const attr = this.actor?.system.attributes?.[attrKey];
+		const option = attr?.options?.[optionKey];
+		if (!attr?.condition || !option) return null;
+		return { key, attr, option };
+	}
+
+	/**
+	 * Effects tied to a condition are only applied while that condition is marked.
+	 * @override
+	 */
+	get isSuppressed() {
+		if (!this.getFlag("pbta", "condition")) return super.isSuppressed;
+		const condition = this.condition;
+		if (!condition) return true;
+		const { option } = condition;
+		return !(option.value || Object.values(option.values ?? {}).some((v) => v.value));
+	}
+
+	/**
+	 * A label for where this effect comes from: an item, a condition or the actor itself.
+	 * @type {string}
+	 */
+	get sourceLabel() {
+		if (this.parent instanceof Item) return this.parent.name;
+		const condition = this.condition;
+		if (condition) {
+			const { attr, option } = condition;
+			return `${attr.label}: ${option.userLabel || option.label}`;
+		}
+		if (this.origin && this.origin !== this.parent?.uuid) return this.sourceName;
+		return game.i18n.localize("PBTA.Effects.actor");
+	}
+}
@@ -14,6 +14,20 @@ export default class ActorPbta extends Actor {
 		}
 	}
 
+	/** @override */
+	applyActiveEffects() {
+		super.applyActiveEffects();
+		// Keep the pips of clocks and Xp in line with values changed by effects.
+		for (const group of ["attrTop", "attrLeft"]) {
+			for (const [key, attr] of Object.entries(this.system[group] ?? {})) {
+				if (!["Clock", "Xp"].includes(attr?.type) || !Array.isArray(attr.steps)) continue;
+				if (!foundry.utils.hasProperty(this.overrides, `system.${group}.${key}.value`)) continue;
+				attr.value = Math.clamped(Number(attr.value) || 0, 0, attr.max ?? attr.steps.length);
+				attr.steps = attr.steps.map((step, i) => i < attr.value);
+			}
+		}
+	}
+
 	/**
 	 * Returns all active conditions.
 	 * @returns {object[]}
@@ -27,26 +41,94 @@ export default class ActorPbta extends Actor {
 	 * @returns {object[]}
 	 */
 	get conditionGroups() {
-		return Object.entries(this.system.attributes)
+		return this.getConditionGroups();
+	}
+
+	/**
+	 * Returns the active conditions ordered by group, optionally only those relevant to a roll.
+	 *
+	 * Condition options may define an explicit `mod`, otherwise it is read from their label.
+	 * They may also limit themselves to some `stats` or `moves`, apply `automatic`ally instead
+	 * of being offered in the roll dialog, and `clear` once they have been used.
+	 * @param {object} [options]
+	 * @param {string} [options.stat]	Only include conditions that affect this stat.
+	 * @param {string} [options.move]	Only include conditions that affect this move.
+	 * @returns {object[]}
+	 */
+	getConditionGroups({ stat, move } = {}) {
+		const filter = stat !== undefined || move !== undefined;
+		return Object.entries(this.system.attributes ?? {})
 			.filter((attr) => attr[1]?.condition)
-			.map((condition) => {
+			.map(([attrKey, attr]) => {
+				const group = ["attrTop", "attrLeft"].find((g) => this.system[g]?.[attrKey]);
 				return {
-					key: condition[0],
-					label: condition[1].label,
-					conditions: Object.values(condition[1].options)
-						.filter((v) => v.value && /(?!\d+-)([+-]*\d+)/.test(v.userLabel ?? v.label))
-						.map((v) => {
-							const label = v.userLabel || v.label;
+					key: attrKey,
+					label: attr.label,
+					conditions: Object.entries(attr.options)
+						.filter(([optionKey, option]) => option.value)
+						.map(([optionKey, option]) => {
+							const label = option.userLabel || option.label;
+							let mod = option.mod;
+							if (!Number.isNumeric(mod)) {
+								const match = label.match(/(?!\d+-)([+-]*\d+)/);
+								mod = match ? Roll.safeEval(match[0]) : null;
+							}
 							return {
+								key: `${attrKey}.${optionKey}`,
+								path: `system.${group}.${attrKey}.options.${optionKey}`,
 								label,
-								mod: Roll.safeEval(label.match(/(?!\d+-)([+-]*\d+)/)[0])
+								mod: mod === null ? null : Number(mod),
+								stats: option.stats ?? [],
+								moves: option.moves ?? [],
+								automatic: !!option.automatic,
+								clear: !!option.clear
 							};
 						})
+						.filter((c) => c.mod !== null)
+						.filter((c) => !filter || this.constructor.conditionAffects(c, { stat, move }))
 				};
 			})
 			.filter((c) => c.conditions.length > 0);
 	}
 
+	/**
+	 * Whether a condition affects a roll of a stat or move.
+	 * Conditions that are not limited to any stats or moves affect every roll.
+	 * @param {object} condition
+	 * @param {string[]} [condition.stats]	The stats the condition is limited to.
+	 * @param {string[]} [condition.moves]	The moves the condition is limited to.
+	 * @param {object} [options]
+	 * @param {string} [options.stat]
+	 * @param {string} [options.move]
+	 * @returns {boolean}
+	 */
+	static conditionAffects({ stats = [], moves = [] }, { stat, move } = {}) {
+		if (!stats.length && !moves.length) return true;
+		if (stat && stats.includes(stat)) return true;
+		return !!move && moves.some((m) => m.slugify() === move.slugify());
+	}
+
+	/**
+	 * Unmark conditions that clear once they have been used in a roll.
+	 * @param {string[]} keys	The keys of the used conditions, as "<attribute>.<option>".
+	 * @returns {Promise<ActorPbta|void>}
+	 */
+	async clearConditions(keys = []) {
+		const updates = {};
+		for (const condition of this.conditions) {
+			if (!condition.clear || !keys.includes(condition.key)) continue;
+			const option = foundry.utils.getProperty(this, condition.path);
+			if (option?.values) {
+				const values = Object.keys(option.values);
+				const marked = values.filter((k) => option.values[k].value);
+				updates[`${condition.path}.values.${marked.pop()}.value`] = false;
+			} else {
+				updates[`${condition.path}.value`] = false;
+			}
+		}
+		if (!foundry.utils.isEmpty(updates)) return this.update(updates);
+	}
+
 	get sheetType() {
 		return this.system?.customType ?? null;
 	}
@@ -60,6 +142,15 @@ export default class ActorPbta extends Actor {
 		return this.system?.playbook ?? { name: "", slug: "", uuid: "" };
 	}
 
+	/**
+	 * Whether the character took the "retire" improvement and left play. Retired characters
+	 * can no longer advance, take part in relationships or answer End of Session questions.
+	 * @type {boolean}
+	 */
+	get retired() {
+		return (this.system?.advancements ?? []).some((a) => a.type === "retire");
+	}
+
 	/**
 	 * Prepare Character type specific data
 	 */
@@ -105,21 +196,69 @@ export default class ActorPbta extends Actor {
 		return game.pbta.sheetConfig.rollFormula ?? defaultFormula;
 	}
 
-	async clearForwardAdv() {
-		const forwardUsed = this.system?.resources?.forward?.value;
+	/**
+	 * Clear the forward, bonuses and roll mode used by a roll.
+	 * Only bonuses that expire on the next roll are removed.
+	 * @param {string[]} [usedBonuses]	The IDs of the bonuses used by the roll. If omitted, forward is always cleared.
+	 */
+	async clearForwardAdv(usedBonuses) {
+		const forwardUsed = this.system?.resources?.forward?.value && (!usedBonuses || usedBonuses.includes("forward"));
 		const rollModeUsed = this.getFlag("pbta", "rollMode") !== "def";
-		if (forwardUsed || rollModeUsed) {
+		const bonuses = this.system?.resources?.bonuses ?? {};
+		const expiredBonuses = (usedBonuses ?? []).filter((id) => bonuses[id]?.expiry === "roll");
+		if (forwardUsed || rollModeUsed || expiredBonuses.length) {
 			const updates = {};
 			if (forwardUsed) {
 				updates["system.resources.forward.value"] = 0;
 			}
+			for (const id of expiredBonuses) {
+				updates[`system.resources.bonuses.-=${id}`] = null;
+			}
 			if (rollModeUsed && game.settings.get("pbta", "advForward")) {
 				updates["flags.pbta.rollMode"] = "def";
 			}
-			await this.update(updates);
+			if (!foundry.utils.isEmpty(updates)) await this.update(updates);
 		}
 	}
 
+	/**
+	 * Whether a bonus applies to a roll of the given stat or move.
+	 * @param {object} bonus
+	 * @param {string} bonus.scope	Either "stat", "move", "moveType", or empty for any roll.
+	 * @param {string} bonus.target	The stat key, move name or move type the bonus is scoped to.
+	 * @param {object} roll
+	 * @param {string} [roll.stat]		The rolled stat.
+	 * @param {string} [roll.move]		The name of the rolled move.
+	 * @param {string} [roll.moveType]	The type of the rolled move.
+	 * @returns {boolean}
+	 */
+	static bonusApplies({ scope, target }, { stat, move, moveType }) {
+		if (scope === "stat") return !!stat && target === stat;
+		if (scope === "move") return !!move && target.toLowerCase() === move.toLowerCase();
+		if (scope === "moveType") return !!moveType && target === moveType;
+		return true;
+	}
+
+	/**
+	 * Remove every actor's bonuses that expire at the given time.
+	 * @param {string} expiry	One of the keys of `CONFIG.PBTA.bonusExpiry`, such as "scene" or "session".
+	 * @returns {Promise<Actor[]>}
+	 */
+	static async expireBonuses(expiry) {
+		const updates = game.actors.reduce((updates, actor) => {
+			const expired = Object.entries(actor.system.resources?.bonuses ?? {})
+				.filter(([id, bonus]) => bonus.expiry === expiry);
+			if (expired.length) {
+				updates.push({
+					_id: actor.id,
+					...Object.fromEntries(expired.map(([id]) => [`system.resources.bonuses.-=${id}`, null]))
+				});
+			}
+			return updates;
+		}, []);
+		return this.updateDocuments(updates);
+	}
+
 	async updateCombatMoveCount() {
 		if (game.combat && game.combat.combatants) {
 			let combatant = game.combat.combatants.find((c) => c.actor.id === this.id);
@@ -171,11 +310,22 @@ export default class ActorPbta extends Actor {
 		}
 	}
 
+	/**
+	 * Roll one of the actor's stats.
+	 * @param {string} stat
+	 * @param {string} [label]
+	 * @param {object} [options]
+	 * @returns {Promise<RollPbtA|void>}	The evaluated roll, or nothing if the roll was cancelled.
+	 */
 	async _onRollStat(stat, label, options={}) {
-		const formula = this._getStatFormula(stat);
+		const dicePool = !!(stat && game.pbta.sheetConfig.dicePool);
+		const targetNumber = !!(stat && !dicePool && game.pbta.sheetConfig.targetNumber);
+		const formula = this._getStatFormula(stat, { dicePool, targetNumber });
 		const r = new CONFIG.Dice.RollPbtA(formula, this.getRollData(), foundry.utils.mergeObject(options, {
 			rollType: "stat",
 			sheetType: this.baseType,
+			dicePool,
+			targetNumber,
 			stat
 		}));
 		const choice = await r.configureDialog({
@@ -184,14 +334,17 @@ export default class ActorPbta extends Actor {
 		if (choice === null) {
 			return;
 		}
-		await r.toMessage({
+		const message = await r.toMessage({
 			actor: this,
 			speaker: ChatMessage.getSpeaker({ actor: this }),
 			title: label ?? "",
 			rollMode: game.settings.get("core", "rollMode")
 		});
-		await this.clearForwardAdv();
+		await this.clearForwardAdv(r.options.usedBonuses);
+		await this.clearConditions(r.options.usedConditions);
+		await r.applyTriggers(message, this);
 		await this.updateCombatMoveCount();
+		return r;
 	}
 
 	async _onRollToken(stat, label, options={}) {
@@ -214,21 +367,32 @@ export default class ActorPbta extends Actor {
 		const updates = {
 			[`system.stats.${stat}.value`]: this.system.stats[stat].value - tokenUsed
 		};
-		await roll.toMessage({
+		const message = await roll.toMessage({
+			actor: this,
 			speaker: ChatMessage.getSpeaker({ actor: this }),
 			title: label ?? "",
 			rollMode: game.settings.get("core", "rollMode")
 		});
 		await this.update(updates);
-		await this.clearForwardAdv();
+		await this.clearForwardAdv(roll.options.usedBonuses);
+		await this.clearConditions(roll.options.usedConditions);
+		await roll.applyTriggers(message, this);
 		await this.updateCombatMoveCount();
 	}
 
-	_getStatFormula(stat) {
-		let formula = "@formula";
+	/**
+	 * Builds the formula used to roll a stat.
+	 * @param {string} [stat]
+	 * @param {object} [options]
+	 * @param {boolean} [options.dicePool]	Only sum the modifiers, which RollPbtA turns into a dice pool.
+	 * @param {boolean} [options.targetNumber]	Leave the stat and its highlight out, since dice are compared against a target number.
+	 * @returns {string}
+	 */
+	_getStatFormula(stat, { dicePool=false, targetNumber=false }={}) {
+		let formula = dicePool ? "0" : "@formula";
 		if (stat) {
-			formula += `+ @stats.${stat}.value`;
-			if (this.system.stats[stat].toggle) {
+			if (!targetNumber) formula += `+ @stats.${stat}.value`;
+			if (this.system.stats[stat].toggle && !targetNumber) {
 				const { modifier } = game.pbta.sheetConfig.statToggle;
 				formula += `${modifier >= 0 ? "+" : ""} ${modifier}`;
 			}
@@ -251,11 +415,98 @@ export default class ActorPbta extends Actor {
 			speaker: ChatMessage.getSpeaker({ actor: this }),
 			rollMode: game.settings.get("core", "rollMode")
 		});
+		await this.clearForwardAdv(r.options.usedBonuses);
+		await this.clearConditions(r.options.usedConditions);
+	}
+
+	/**
+	 * Roll to help or interfere with another character's roll.
+	 * On a success, the configured modifier is applied to the original roll.
+	 * @param {ChatMessage} message	The chat message of the roll being helped or interfered with.
+	 * @param {"help"|"interfere"} mode
+	 * @returns {Promise<RollPbtA|null>}
+	 */
+	async rollHelp(message, mode = "help") {
+		const config = game.pbta.sheetConfig.helpInterfere;
+		if (!config) return null;
+
+		const target = ChatMessage.getSpeakerActor(message.speaker);
+		const moveName = config.move?.toLowerCase();
+		const item = moveName ? this.items.find((i) => i.type === "move" && i.name.toLowerCase() === moveName) : null;
+		const dicePool = !!game.pbta.sheetConfig.dicePool;
+		let formula = dicePool ? "0" : "@formula";
+		const rollData = item?.getRollData() ?? this.getRollData();
+		const { group, attr } = this._getAttribute(config.attribute) ?? {};
+		let relationship = null;
+		if (attr?.type === "Relationship") {
+			// A Relationship attribute adds the helper's relationship with the character they help.
+			if (target) {
+				relationship = {
+					label: `${attr.label} (${target.name})`,
+					value: Number(this.getRelationship(config.attribute, target.id)) || 0
+				};
+				rollData.relationship = relationship.value;
+				formula += " + @relationship";
+			}
+		} else if (group && Number.isNumeric(attr.value)) {
+			formula += ` + @${group}.${config.attribute}.value`;
+		}
+
+		const title = game.i18n.format(`PBTA.HelpInterfere.${mode}Title`, { actor: this.name, target: target?.name ?? "" });
+		const r = new CONFIG.Dice.RollPbtA(formula, rollData, {
+			rollType: item ? "move" : "help",
+			sheetType: this.baseType,
+			dicePool,
+			move: item?.name,
+			relationship,
+			helpTarget: message.id
+		});
+		const choice = await r.configureDialog({
+			templateData: {
+				title,
+				details: item?.system.description,
+				moveResults: item?.system.moveResults,
+				sheetType: this.baseType
+			},
+			title
+		});
+		if (choice === null) {
+			return null;
+		}
+		const helpMessage = await r.toMessage({
+			actor: this,
+			item,
+			speaker: ChatMessage.getSpeaker({ actor: this }),
+			image: item?.img,
+			title,
+			rollMode: game.settings.get("core", "rollMode")
+		});
+		await this.clearForwardAdv(r.options.usedBonuses);
+		await this.clearConditions(r.options.usedConditions);
+		await r.applyTriggers(helpMessage, this);
+
+		const resultRanges = CONFIG.Dice.RollPbtA.getResultRanges(item?.system.moveResults);
+		const successes = config.success ?? Object.keys(resultRanges)
+			.filter((k) => !(resultRanges[k].start === null && resultRanges[k].end !== null));
+		if (!successes.includes(r.options.resultType)) return r;
+
+		const help = { actor: this.name, mode, modifier: config[mode] };
+		if (message.isOwner) {
+			await CONFIG.Item.documentClass.applyHelp(message, help);
+		} else if (game.users.activeGM) {
+			game.socket.emit("system.pbta", {
+				helpUpdate: { messageId: message.id, actorId: this.id, mode }
+			});
+		} else {
+			ui.notifications.warn(game.i18n.localize("PBTA.Warnings.HelpNoGM"));
+		}
+		return r;
 	}
 
 	/** @inheritdoc */
 	async _preCreate(data, options, user) {
 		await super._preCreate(data, options, user);
+		if (this.type === "front") return;
 
 		const changes = {
 			system: this.applyBaseTemplate()
@@ -295,6 +546,49 @@ export default class ActorPbta extends Actor {
 		this.updateSource(changes);
 	}
 
+	/** @inheritdoc */
+	async _preUpdate(changed, options, user) {
+		await super._preUpdate(changed, options, user);
+		if (this.type === "front" && foundry.utils.hasProperty(changed, "system.countdown.value")) {
+			options.pbtaCountdown = this.system.countdown.value;
+		}
+	}
+
+	/** @inheritdoc */
+	_onUpdate(changed, options, userId) {
+		super._onUpdate(changed, options, userId);
+		if (userId === game.user.id && options.pbtaCountdown !== undefined
+			&& this.system.countdown.value > options.pbtaCountdown) {
+			this.announcePortents(options.pbtaCountdown, this.system.countdown.value);
+		}
+	}
+
+	/**
+	 * Announce the grim portents of a front that were just marked, and its impending doom once the countdown runs out.
+	 * @param {number} from	The countdown value before it advanced.
+	 * @param {number} to	The countdown value after it advanced.
+	 * @returns {Promise<ChatMessage>}
+	 */
+	async announcePortents(from, to) {
+		const dangers = Object.fromEntries(this.system.dangers.map((d) => [d.id, d.name]));
+		const portents = this.system.portents.slice(from, to).map((p) => ({
+			...p,
+			danger: dangers[p.danger] ?? ""
+		}));
+		const { max } = this.system.countdown;
+		const content = await renderTemplate("systems/pbta/templates/chat/front-portents.hbs", {
+			front: this,
+			portents,
+			doom: to >= max && max > 0 ? { ...this.system.doom, danger: dangers[this.system.doom.danger] ?? "" } : null
+		});
+		const messageData = {
+			speaker: ChatMessage.getSpeaker({ alias: this.name }),
+			content
+		};
+		ChatMessage.applyRollMode(messageData, game.settings.get("core", "rollMode"));
+		return ChatMessage.create(messageData);
+	}
+
 	/**
 	 * Applies the actor's model to its data, such as
 	 * the Sheet Config's Stats and Attributes.
@@ -324,6 +618,7 @@ export default class ActorPbta extends Actor {
 	static async createDialog(data={}, { parent=null, pack=null, ...options }={}) {
 		const documentName = this.metadata.name;
 		const types = Object.keys(game.pbta.sheetConfig.actorTypes);
+		if (game.user.isGM) types.push("front");
 		let collection;
 		if (!parent) {
 			if (pack) {
@@ -343,7 +638,7 @@ export default class ActorPbta extends Actor {
 			hasFolders: folders.length >= 1,
 			type: data.type || CONFIG[documentName]?.defaultType || types[0],
 			types: types.reduce((obj, t) => {
-				const pbtaLabel = game.pbta.sheetConfig.actorTypes[t].label;
+				const pbtaLabel = game.pbta.sheetConfig.actorTypes[t]?.label;
 				const label = CONFIG[documentName]?.typeLabels?.[t] ?? t;
 				if (pbtaLabel) {
 					obj[t] = pbtaLabel;
@@ -375,7 +670,7 @@ export default class ActorPbta extends Actor {
 				}
 
 				// First we need to find the base actor type to model this after.
-				if (!["character", "npc"].includes(data.type)) {
+				if (!["character", "npc", "front"].includes(data.type)) {
 					data.system = {
 						customType: data.type
 					};
@@ -389,6 +684,397 @@ export default class ActorPbta extends Actor {
 		});
 	}
 
+	/**
+	 * Clear the highlighted stats of every character and reset how much experience
+	 * highlights have marked this session.
+	 * @returns {Promise<Actor[]>}
+	 */
+	static async clearHighlights() {
+		const updates = game.actors
+			.filter((a) => a.baseType === "character")
+			.map((a) => {
+				const update = { _id: a.id, "flags.pbta.-=highlightXp": null };
+				for (const [key, stat] of Object.entries(a.system.stats ?? {})) {
+					if (stat.toggle) update[`system.stats.${key}.toggle`] = false;
+				}
+				return update;
+			});
+		return this.updateDocuments(updates);
+	}
+
+	/**
+	 * Delete the Active Effects of every actor that expire at the given time.
+	 * @param {string} expiry	One of the keys of `CONFIG.PBTA.effectExpiry`, such as "session".
+	 * @returns {Promise<void>}
+	 */
+	static async expireEffects(expiry) {
+		for (const actor of game.actors) {
+			const ids = actor.effects.filter((e) => e.getFlag("pbta", "expiry") === expiry).map((e) => e.id);
+			if (ids.length) await actor.deleteEmbeddedDocuments("ActiveEffect", ids);
+		}
+	}
+
+	/**
+	 * Find one of the actor's attributes by key.
+	 * @param {string} key
+	 * @returns {{group: string, attr: object}|null}
+	 */
+	_getAttribute(key) {
+		const group = ["attrTop", "attrLeft"].find((g) => this.system[g]?.[key]);
+		return group ? { group, attr: this.system[group][key] } : null;
+	}
+
+	/**
+	 * Builds the update that sets an attribute's value, keeping the steps of Clocks and Xp in sync.
+	 * @param {string} group
+	 * @param {string} key
+	 * @param {number} value
+	 * @returns {object}
+	 */
+	_getAttributeUpdate(group, key, value) {
+		const attr = this.system[group][key];
+		const updates = { [`system.${group}.${key}.value`]: value };
+		if (attr.steps) {
+			updates[`system.${group}.${key}.steps`] = Array.from({ length: attr.max }, (v, i) => i < value);
+		}
+		return updates;
+	}
+
+	/**
+	 * Whether this actor has the harm attribute set by the Sheet Config's damage settings.
+	 * @type {boolean}
+	 */
+	get canTakeDamage() {
+		const { attr } = this._getAttribute(game.pbta.sheetConfig?.damage?.harm) ?? {};
+		return ["Clock", "Number", "Resource", "Xp"].includes(attr?.type);
+	}
+
+	/**
+	 * Work out how much harm this actor takes from a hit once its armor is accounted for.
+	 * @param {object} damage
+	 * @param {number} damage.amount			The damage rolled.
+	 * @param {boolean} [damage.ignoreArmor]	Whether the damage ignores armor.
+	 * @param {number} [damage.piercing]		How much armor the damage ignores.
+	 * @returns {{armor: number, harm: number}}
+	 */
+	getDamageTaken({ amount, ignoreArmor = false, piercing = 0 }) {
+		const { attr } = this._getAttribute(game.pbta.sheetConfig?.damage?.armor) ?? {};
+		const armor = ignoreArmor ? 0 : Math.max(0, (Number(attr?.value) || 0) - piercing);
+		return { armor, harm: Math.max(0, (Number(amount) || 0) - armor) };
+	}
+
+	/**
+	 * Mark harm taken from a hit. Clocks, Xp and Numbers fill up, while Resources are spent.
+	 * @param {object} damage	See {@link ActorPbta#getDamageTaken}.
+	 * @returns {Promise<number>}	The harm taken.
+	 */
+	async applyDamage(damage) {
+		const key = game.pbta.sheetConfig?.damage?.harm;
+		const { harm } = this.getDamageTaken(damage);
+		if (!this.canTakeDamage || !harm) return 0;
+		const { group, attr } = this._getAttribute(key);
+		let value = Number(attr.value) || 0;
+		if (attr.type === "Resource") value = Math.max(0, value - harm);
+		else if (["Clock", "Xp"].includes(attr.type)) value = Math.min(value + harm, attr.max);
+		else value += harm;
+		await this.update(this._getAttributeUpdate(group, key, value));
+		return harm;
+	}
+
+	/**
+	 * The other player characters this actor can have a relationship with.
+	 * @returns {Actor[]}
+	 */
+	getRelationshipTargets() {
+		return game.actors.filter((a) => a.baseType === "character" && a.id !== this.id && a.hasPlayerOwner && !a.retired);
+	}
+
+	/**
+	 * Get this actor's relationship value with another actor.
+	 * @param {string} key		The key of the Relationship attribute.
+	 * @param {string} actorId
+	 * @returns {number|boolean|null}
+	 */
+	getRelationship(key, actorId) {
+		const { attr } = this._getAttribute(key) ?? {};
+		if (attr?.type !== "Relationship") return null;
+		return attr.value?.[actorId] ?? attr.default;
+	}
+
+	/**
+	 * Ask which actor a relationship roll is made with, defaulting to the user's target.
+	 * @param {string} key		The key of the Relationship attribute.
+	 * @returns {Promise<Actor|null>}
+	 */
+	async chooseRelationshipTarget(key) {
+		const targets = this.getRelationshipTargets();
+		const targeted = game.user.targets.first()?.actor;
+		if (targeted && targets.includes(targeted)) return targeted;
+		if (!targets.length) {
+			ui.notifications.warn(game.i18n.localize("PBTA.Relationship.none"));
+			return null;
+		}
+		const { attr } = this._getAttribute(key);
+		return new Promise((resolve) => {
+			new Dialog({
+				title: game.i18n.format("PBTA.Relationship.chooseTarget", { label: attr.label }),
+				content: "",
+				buttons: Object.fromEntries(targets.map((a) => [a.id, {
+					label: a.name,
+					callback: () => resolve(a)
+				}])),
+				close: () => resolve(null)
+			}).render(true);
+		});
+	}
+
+	/**
+	 * Reset relationship attributes to their default value for every other actor.
+	 * @param {string[]} [keys]	The Relationship attributes to reset. Defaults to all of them.
+	 * @returns {Promise<ActorPbta>}
+	 */
+	async resetRelationships(keys) {
+		const updates = {};
+		for (const group of ["attrTop", "attrLeft"]) {
+			for (const [key, attr] of Object.entries(this.system[group] ?? {})) {
+				if (attr.type !== "Relationship" || (keys && !keys.includes(key))) continue;
+				for (const actorId of Object.keys(attr.value ?? {})) {
+					updates[`system.${group}.${key}.value.${actorId}`] = attr.default;
+				}
+			}
+		}
+		if (foundry.utils.isEmpty(updates)) return this;
+		return this.update(updates);
+	}
+
+	/**
+	 * Apply the triggers of a roll result to this actor.
+	 * @param {object[]} triggers
+	 * @returns {Promise<object[]>}	A record of each applied trigger, used to list and undo it.
+	 */
+	async applyTriggers(triggers) {
+		const updates = {};
+		const records = [];
+		let highlightXp = this.getFlag("pbta", "highlightXp") ?? 0;
+		for (const trigger of triggers) {
+			if (trigger.type === "attribute" || trigger.type === "clock") {
+				const { group, attr } = this._getAttribute(trigger.attribute) ?? {};
+				if (!group || !Number.isNumeric(attr.value)) continue;
+				if (trigger.highlight) {
+					const { xpCap } = game.pbta.sheetConfig.statToggle || {};
+					if (xpCap && highlightXp >= xpCap) continue;
+					updates["flags.pbta.highlightXp"] = ++highlightXp;
+				}
+				const path = `system.${group}.${trigger.attribute}.value`;
+				const previous = Number(updates[path] ?? attr.value);
+				let value = previous + trigger.value;
+				if (attr.max || trigger.type === "clock") value = Math.clamped(value, 0, attr.max ?? 0);
+				Object.assign(updates, this._getAttributeUpdate(group, trigger.attribute, value));
+				records.push({
+					type: trigger.type,
+					attribute: trigger.attribute,
+					label: attr.label,
+					previous,
+					value,
+					highlight: trigger.highlight
+				});
+			} else if (trigger.type === "forward") {
+				const path = "system.resources.forward.value";
+				const previous = Number(updates[path] ?? this.system.resources?.forward?.value ?? 0);
+				updates[path] = trigger.value;
+				records.push({ type: "forward", previous, value: trigger.value });
+			} else if (trigger.type === "move") {
+				const move = trigger.move.includes(".")
+					? await fromUuid(trigger.move)
+					: this.items.getName(trigger.move) ?? game.items.getName(trigger.move);
+				if (!(move instanceof Item)) continue;
+				const message = await move.roll({ descriptionOnly: true });
+				records.push({ type: "move", label: move.name, messageId: message?.id ?? null });
+			}
+		}
+		if (!foundry.utils.isEmpty(updates)) await this.update(updates);
+		return records;
+	}
+
+	/**
+	 * Revert a trigger previously applied with {@link ActorPbta#applyTriggers}.
+	 * Only the change the trigger made is taken back, so later changes to the same value are kept.
+	 * @param {object} record
+	 * @returns {Promise<void>}
+	 */
+	async undoTrigger(record) {
+		const change = record.value - record.previous;
+		if (record.type === "attribute" || record.type === "clock") {
+			const { group, attr } = this._getAttribute(record.attribute) ?? {};
+			if (!group || !Number.isNumeric(attr.value)) return;
+			let value = Number(attr.value) - change;
+			if (attr.max || record.type === "clock") value = Math.clamped(value, 0, attr.max ?? 0);
+			const updates = this._getAttributeUpdate(group, record.attribute, value);
+			if (record.highlight) {
+				updates["flags.pbta.highlightXp"] = Math.max((this.getFlag("pbta", "highlightXp") ?? 1) - 1, 0);
+			}
+			await this.update(updates);
+		} else if (record.type === "forward") {
+			const value = Number(this.system.resources?.forward?.value ?? 0) - change;
+			await this.update({ "system.resources.forward.value": value });
+		} else if (record.type === "move") {
+			await game.messages.get(record.messageId)?.delete();
+		}
+	}
+
+	/**
+	 * Items on this actor that were granted by a playbook, other than the given one.
+	 * @param {string} [exceptUuid]	The UUID of a playbook whose items are ignored.
+	 * @returns {Item[]}
+	 */
+	getGrantedItems(exceptUuid) {
+		return this.items.filter((i) => {
+			const grantedBy = i.getFlag("pbta", "grantedBy");
+			return grantedBy && grantedBy !== exceptUuid;
+		});
+	}
+
+	/**
+	 * Set the actor's playbook and apply the moves, stats, gear and attribute values it grants.
+	 * @param {Item|null} playbook
+	 * @param {object} [options]
+	 * @param {number} [options.statArray]		The index of the stat array to use.
+	 * @param {string[]} [options.moves]		The UUIDs of the chosen starting moves.
+	 * 											Defaults to every starting move if the playbook doesn't ask to choose.
+	 * @param {string[]} [options.equipment]	The UUIDs of the chosen gear. Defaults to all of the playbook's gear.
+	 * @param {boolean} [options.removeGranted]	Delete the items granted by a previous playbook.
+	 * @returns {Promise<ActorPbta>}
+	 */
+	async applyPlaybook(playbook, { statArray = 0, moves, equipment, removeGranted = false } = {}) {
+		const updates = {
+			"system.playbook": {
+				name: playbook?.name ?? "",
+				slug: playbook?.system.slug || playbook?.name.slugify() || "",
+				uuid: playbook?.uuid ?? ""
+			}
+		};
+		if (removeGranted) {
+			const ids = this.getGrantedItems(playbook?.uuid).map((i) => i.id);
+			if (ids.length) await this.deleteEmbeddedDocuments("Item", ids);
+		}
+		if (!playbook) return this.update(updates);
+
+		const { statArrays = [], attributes = {}, moveChoices } = playbook.system;
+		for (const [key, value] of Object.entries(statArrays[statArray]?.values ?? {})) {
+			if (Number.isNumeric(value) && this.system.stats?.[key]) {
+				updates[`system.stats.${key}.value`] = Number(value);
+			}
+		}
+		for (const [key, value] of Object.entries(attributes)) {
+			if (value === null || value === "") continue;
+			const { group, attr } = this._getAttribute(key) ?? {};
+			if (!group) continue;
+			if (Number.isNumeric(attr.value)) {
+				Object.assign(updates, this._getAttributeUpdate(group, key, Number(value)));
+			} else {
+				updates[`system.${group}.${key}.value`] = value;
+			}
+		}
+
+		moves ??= moveChoices ? [] : playbook.system.moves.map((m) => m.uuid);
+		const grants = [
+			...playbook.system.moves.filter((m) => m.required || moves.includes(m.uuid)),
+			...playbook.system.equipment.filter((e) => !equipment || equipment.includes(e.uuid))
+		];
+		const owned = new Set(this.items.map((i) => `${i.type}.${i.name}`));
+		const items = [];
+		for (const grant of grants) {
+			const item = await fromUuid(grant.uuid);
+			if (!(item instanceof Item) || owned.has(`${item.type}.${item.name}`)) continue;
+			const itemData = item.toObject();
+			foundry.utils.setProperty(itemData, "flags.pbta.grantedBy", playbook.uuid);
+			items.push(itemData);
+		}
+		if (items.length) await this.createEmbeddedDocuments("Item", items);
+		return this.update(updates);
+	}
+
+	/**
+	 * The improvements of a playbook, with how often this actor has taken each and whether it is still available.
+	 * @param {Item|null} playbook
+	 * @returns {object[]}
+	 */
+	getImprovements(playbook) {
+		const history = this.system.advancements ?? [];
+		return (playbook?.system.improvements ?? []).map((improvement) => {
+			const taken = history.filter((h) => h.improvement === improvement.id).length;
+			let available = !improvement.limit || taken < improvement.limit;
+			const stat = improvement.type === "stat" ? this.system.stats?.[improvement.stat] : null;
+			if (improvement.type === "stat") {
+				available &&= Boolean(stat) && (improvement.cap === null || stat.value < improvement.cap);
+			}
+			return {
+				...improvement,
+				label: improvement.label || game.i18n.localize(CONFIG.PBTA.improvementTypes[improvement.type]),
+				statLabel: stat?.label,
+				taken,
+				available
+			};
+		});
+	}
+
+	/**
+	 * Take an improvement, record it in the actor's advancement history and spend their experience.
+	 * @param {object} improvement	An improvement as returned by {@link ActorPbta#getImprovements}.
+	 * @param {object} [options]
+	 * @param {string} [options.attribute]	The key of the Xp attribute to reset.
+	 * @param {string} [options.move]		The UUID of the move to add for move improvements.
+	 * @param {string} [options.detail]		A note on what the improvement was used for.
+	 * @param {string} [options.playbook]	The name of the playbook the improvement comes from.
+	 * @returns {Promise<ChatMessage|void>}
+	 */
+	async advance(improvement, { attribute, move, detail = "", playbook } = {}) {
+		if (this.retired) {
+			ui.notifications.warn(game.i18n.format("PBTA.Advancement.isRetired", { actor: this.name }));
+			return;
+		}
+		const updates = {};
+		let summary = detail;
+		if (improvement.type === "stat") {
+			const stat = this.system.stats?.[improvement.stat];
+			if (!stat) return;
+			const value = Number(stat.value) + 1;
+			if (improvement.cap !== null && value > improvement.cap) return;
+			updates[`system.stats.${improvement.stat}.value`] = value;
+			summary ||= `${stat.label} ${value >= 0 ? "+" : ""}${value}`;
+		} else if (["move", "otherMove"].includes(improvement.type)) {
+			const item = move ? await fromUuid(move) : null;
+			if (!(item instanceof Item)) {
+				ui.notifications.warn(game.i18n.localize("PBTA.Advancement.noMove"));
+				return;
+			}
+			await this.createEmbeddedDocuments("Item", [item.toObject()]);
+			summary ||= item.name;
+		}
+
+		const { group } = this._getAttribute(attribute) ?? {};
+		if (group) Object.assign(updates, this._getAttributeUpdate(group, attribute, 0));
+		updates["system.advancements"] = [...(this.system.advancements ?? []), {
+			improvement: improvement.id,
+			playbook: playbook ?? this.playbook.name,
+			type: improvement.type,
+			label: improvement.label,
+			detail: summary,
+			timestamp: Date.now()
+		}];
+		await this.update(updates);
+
+		const escape = foundry.utils.escapeHTML;
+		const key = improvement.type === "retire" ? "PBTA.Advancement.retireMessage" : "PBTA.Advancement.message";
+		return ChatMessage.create({
+			speaker: ChatMessage.getSpeaker({ actor: this }),
+			content: `<p>${game.i18n.format(key, {
+				actor: escape(this.name),
+				improvement: escape(improvement.label)
+			})}${summary ? ` <em>(${escape(summary)})</em>` : ""}</p>`
+		});
+	}
+
 	async modifyTokenAttribute(attribute, value, isDelta, isBar) {
 		const current = foundry.utils.getProperty(this.system, attribute);
 		if (current.type === "Clock") {
@@ -65,6 +65,8 @@ export default class ItemPbta extends Item {
 	 * Roll the item to Chat, creating a chat card which contains follow up attack or damage roll options
 	 * @param {object} options
 	 * @param {boolean} options.descriptionOnly
+	 * @returns {Promise<RollPbtA|ChatMessage|void>}	The evaluated roll, or the created message if only the
+	 *                                                 description was posted.
 	 */
 	async roll(options = { descriptionOnly: false }) {
 		if (options.descriptionOnly || this.type === "equipment" || (this.type !== "npcMove" && !this.system.rollType)) {
@@ -76,67 +78,170 @@ export default class ItemPbta extends Item {
 				image: this.img,
 				title: this.name,
 				details: this.system.description,
-				tags: this.system.tags
+				tags: this.system.tags,
+				damage: this.type === "equipment" && this.system.damage
 			});
-			ChatMessage.create({
+			return ChatMessage.create({
 				user: game.user.id,
 				content: content,
-				speaker: ChatMessage.getSpeaker({ actor: this.actor })
-			});
-		} else {
-			let formula = "@formula";
-			let stat = "";
-			let { rollFormula, rollMod, rollType = "move" } = this.system;
-			if (this.type === "npcMove" || rollType === "formula") {
-				formula = rollFormula;
-			} else if (!["ask", "prompt", "formula"].includes(rollType)) {
-				stat = rollType;
-				formula += `+ @stats.${stat}.value`;
-				if (this.actor.system.stats[stat].toggle) {
-					const { modifier } = game.pbta.sheetConfig.statToggle;
-					formula += `${modifier >= 0 ? "+" : ""} ${modifier}`;
-				}
-			}
-			if (rollMod) {
-				formula += " + @rollMod";
-			}
-			const r = new CONFIG.Dice.RollPbtA(formula, this.getRollData(), foundry.utils.mergeObject(options, {
-				rollType: this.type,
-				sheetType: this.actor?.baseType,
-				stat
-			}));
-			const choice = await r.configureDialog({
-				templateData: {
-					title: this.name,
-					details: this.system.description,
-					moveResults: this.system.moveResults,
-					choices: this.system?.choices,
-					sheetType: this.actor?.baseType,
-					rollType
-				},
-				title: game.i18n.format("PBTA.RollLabel", { label: this.name })
-			});
-			if (choice === null) {
-				return;
-			}
-			await r.toMessage({
-				actor: this.actor,
-				tokenId: this.actor?.token?.uuid || null,
-				item: this,
-
 				speaker: ChatMessage.getSpeaker({ actor: this.actor }),
-				image: this.img,
-				title: this.name,
-				rollMode: game.settings.get("core", "rollMode"),
 				flags: {
-					pbta: {
-						itemUuid: this.uuid
-					}
+					pbta: { itemUuid: this.uuid }
 				}
 			});
-			await this.actor?.clearForwardAdv();
-			await this.actor.updateCombatMoveCount();
 		}
+
+		let { rollFormula, rollMod, rollType = "move" } = this.system;
+		const isStatRoll = this.type === "move" && rollType !== "formula";
+		const dicePool = isStatRoll && !!game.pbta.sheetConfig.dicePool;
+		// Only rolls of a stat, or of a stat picked when rolling, count the dice that beat a target number.
+		const targetNumber = isStatRoll && !dicePool && !!game.pbta.sheetConfig.targetNumber
+			&& rollType !== "prompt" && !rollType.startsWith("relationship.");
+		let formula = dicePool ? "0" : "@formula";
+		let stat = "";
+		let relationship = null;
+		if (this.type === "npcMove" || rollType === "formula") {
+			formula = rollFormula;
+		} else if (rollType.startsWith("relationship.")) {
+			const key = rollType.slice("relationship.".length);
+			const target = await this.actor.chooseRelationshipTarget(key);
+			if (!target) return;
+			relationship = {
+				label: `${this.actor._getAttribute(key).attr.label} (${target.name})`,
+				value: Number(this.actor.getRelationship(key, target.id)) || 0
+			};
+			formula += " + @relationship";
+		} else if (!["ask", "prompt", "formula"].includes(rollType)) {
+			stat = rollType;
+			if (!targetNumber) formula += `+ @stats.${stat}.value`;
+			if (this.actor.system.stats[stat].toggle && !targetNumber) {
+				const { modifier } = game.pbta.sheetConfig.statToggle;
+				formula += `${modifier >= 0 ? "+" : ""} ${modifier}`;
+			}
+		}
+		if (rollMod) {
+			formula += " + @rollMod";
+		}
+		const rollData = this.getRollData();
+		if (relationship) rollData.relationship = relationship.value;
+		const targets = Array.from(game.user.targets, (t) => t.actor).filter((a) => a);
+		if (targets.length) rollData.target = targets[0].getRollData();
+		const r = new CONFIG.Dice.RollPbtA(formula, rollData, foundry.utils.mergeObject(options, {
+			rollType: this.type,
+			sheetType: this.actor?.baseType,
+			dicePool,
+			targetNumber,
+			stat,
+			move: this.name,
+			moveType: this.system.moveType,
+			modifiers: (this.system.modifiers ?? []).filter((m) => m.label && m.value),
+			relationship,
+			targets: targets.map((a) => this.constructor.getTargetData(a))
+		}));
+		const choice = await r.configureDialog({
+			templateData: {
+				title: this.name,
+				details: this.system.description,
+				moveResults: this.system.moveResults,
+				choices: this.system?.choices,
+				sheetType: this.actor?.baseType,
+				rollType
+			},
+			title: game.i18n.format("PBTA.RollLabel", { label: this.name })
+		});
+		if (choice === null) {
+			return;
+		}
+		const message = await r.toMessage({
+			actor: this.actor,
+			tokenId: this.actor?.token?.uuid || null,
+			item: this,
+
+			speaker: ChatMessage.getSpeaker({ actor: this.actor }),
+			image: this.img,
+			title: this.name,
+			rollMode: game.settings.get("core", "rollMode")
+		});
+		// A result without hold clears any hold left over from an earlier roll.
+		if (r.options.hold !== undefined && this.actor && this.system.hold !== undefined
+			&& r.options.hold !== this.system.hold) {
+			await this.update({ "system.hold": r.options.hold });
+		}
+		await this.actor?.clearForwardAdv(r.options.usedBonuses);
+		await this.actor?.clearConditions(r.options.usedConditions);
+		await r.applyTriggers(message, this.actor);
+		await this.actor.updateCombatMoveCount();
+		return r;
+	}
+
+	/**
+	 * Describe a targeted actor for a roll's chat card, along with the NPC moves the GM may want to make.
+	 * @param {Actor} actor
+	 * @returns {{name: string, uuid: string, moves: object[]}}
+	 */
+	static getTargetData(actor) {
+		return {
+			name: actor.token?.name ?? actor.name,
+			uuid: actor.uuid,
+			moves: actor.items
+				.filter((i) => i.type === "npcMove")
+				.map((i) => ({ name: i.name, uuid: i.uuid }))
+		};
+	}
+
+	/**
+	 * Spends a single point of hold on this move and announces it in the chat.
+	 * @returns {Promise<ItemPbta|null>}
+	 */
+	async spendHold() {
+		const hold = this.system.hold ?? 0;
+		if (hold <= 0) {
+			ui.notifications.warn(game.i18n.format("PBTA.Warnings.NoHold", { move: this.name }));
+			return null;
+		}
+		await this.update({ "system.hold": hold - 1 });
+
+		const content = await renderTemplate("systems/pbta/templates/chat/hold-spend.hbs", {
+			actor: this.actor,
+			item: this,
+			hold: hold - 1
+		});
+		ChatMessage.create({
+			user: game.user.id,
+			content: content,
+			speaker: ChatMessage.getSpeaker({ actor: this.actor }),
+			type: CONST.CHAT_MESSAGE_TYPES.OTHER
+		});
+		return this;
+	}
+
+	/**
+	 * Rolls this equipment's damage formula, adding any harm granted by its tags, and posts it to the chat.
+	 * @returns {Promise<ChatMessage|null>}
+	 */
+	async rollDamage() {
+		const { damage, damageTags } = this.system;
+		if (!damage) return null;
+		const { bonus, ignoreArmor, piercing } = damageTags;
+		const formula = bonus ? `${damage} ${bonus < 0 ? "-" : "+"} ${Math.abs(bonus)}` : damage;
+		const roll = await new Roll(formula, this.getRollData()).evaluate({ async: true });
+		const flags = { amount: roll.total, ignoreArmor, piercing };
+
+		const content = await renderTemplate("systems/pbta/templates/chat/damage-card.hbs", {
+			item: this,
+			title: game.i18n.format("PBTA.Damage.title", { name: this.name }),
+			roll: await roll.render(),
+			tags: this.system.tags,
+			canApply: !!game.pbta.sheetConfig?.damage,
+			...flags
+		});
+		return roll.toMessage({
+			content,
+			speaker: ChatMessage.getSpeaker({ actor: this.actor }),
+			flags: {
+				pbta: { damage: flags }
+			}
+		}, { rollMode: game.settings.get("core", "rollMode") });
 	}
 
 	/** @inheritdoc */
@@ -276,6 +381,12 @@ export default class ItemPbta extends Item {
 	 */
 	static chatListeners(html) {
 		html.on("click", ".card-buttons button", this._onChatCardAction.bind(this));
+		html.on("click", ".hold-buttons button", this._onChatCardSpendHold.bind(this));
+		html.on("click", ".help-buttons button", this._onChatCardHelp.bind(this));
+		html.on("click", ".result-option", this._onChatCardPickOption.bind(this));
+		html.on("click", ".follow-up-buttons button", this._onChatCardFollowUp.bind(this));
+		html.on("click", ".damage-buttons button", this._onChatCardDamage.bind(this));
+		html.on("click", ".trigger-undo", this._onChatCardUndoTrigger.bind(this));
 		html.on("click", ".cell__title", this._onChatCardToggleContent.bind(this));
 		html.on("click", ".result-label", this._onChatCardResultToggleContent.bind(this));
 	}
@@ -292,65 +403,408 @@ export default class ItemPbta extends Item {
 			if (!message) return;
 
 			const action = button.dataset.action;
-			let content = foundry.utils.duplicate(message.content);
-			let rolls = foundry.utils.deepClone(message.rolls);
-
-			const plusMinusReg = /([+-]\s*\d)/;
-			const diceFormulaReg = /<div class="dice-formula">(.*)<\/div>/;
-			const diceTotalReg = /<h4 class="dice-total">(.*)<\/h4>/;
-
-			if (diceFormulaReg.test(content)) {
-				const diceFormula = content.match(diceFormulaReg);
-				let roll = diceFormula[1];
-				const plusMinusMatch = roll.match(plusMinusReg);
-				const value = plusMinusMatch ? plusMinusMatch[1] : "";
-				const shift = action === "shiftUp" ? 1 : -1;
-				const newValue = Roll.safeEval(`${value} + ${shift}`);
-				const updatedValue = newValue >= 0 ? `+ ${newValue}` : `- ${Math.abs(newValue)}`;
-
-				roll = plusMinusMatch ? roll.replace(plusMinusReg, updatedValue) : `${roll} ${updatedValue}`;
-				content = content.replace(diceFormula[1], roll);
-
-				const diceTotal = content.match(diceTotalReg);
-				let total = Roll.safeEval(`${diceTotal[1]} + ${shift}`);
-				content = content.replace(diceTotalReg, `<h4 class="dice-total">${total}</h4>`);
-
-				const { rollResults } = game.pbta.sheetConfig;
-				const { resultType, rollType } = message.rolls[0].options;
-				const { start, end } = rollResults?.[resultType] ?? {};
-
-				if ((action === "shiftUp" && end && end < total) || (action === "shiftDown" && start && start > total)) {
-					const newResult = Object.keys(rollResults)
-						.filter((k) => k !== resultType)
-						.find((k) => {
-							const { start, end } = rollResults[k];
-							return (!start || total >= start) && (!end || total <= end);
-						});
-
-					rolls[0].options.resultType = newResult;
-
-					if (rollType === "move" || rollType === "npcMove") {
-						const itemUuid = message.getFlag("pbta", "itemUuid");
-						const item = await fromUuid(itemUuid);
-						if (item && item.system.moveResults) {
-							const moveResult = item.system.moveResults[newResult];
-							content = content.replace(/<div class="row result (.*?)">/, `<div class="row result ${newResult}">`);
-							content = content.replace(/<div class="roll (.*?)">/, `<div class="roll ${newResult}">`);
-							content = content.replace(/<div class="result-label">(.*?)<\/div>/, `<div class="result-label">${moveResult.label}</div>`);
-							content = content.replace(/<div class="result-details">[\s\S]*?<\/div>/, `<div class="result-details">${moveResult.value}</div>`);
-						}
-					}
-				}
+			await this.shiftChatCard(message, action === "shiftUp" ? 1 : -1);
+		} catch(err) {
+			console.error("Error handling chat card action:", err);
+		} finally {
+			button.disabled = false;
+		}
+	}
+
+	/**
+	 * Shift the total of a rolled chat card, updating its result band to match.
+	 * The card is re-rendered from the state stored in its flags.
+	 * @param {ChatMessage} message	The rolled chat message.
+	 * @param {number} amount		The amount added to the roll's total.
+	 * @param {object} [shift]		Describes where the shift came from, stored in the card's shift history.
+	 * @param {string} [shift.type]	Either "shift", "help" or "interfere".
+	 * @param {string} [shift.name]	The name of the user or character that shifted the roll.
+	 * @returns {Promise<ChatMessage|void>}
+	 */
+	static async shiftChatCard(message, amount, { type = "shift", name = game.user.name } = {}) {
+		const card = foundry.utils.deepClone(this.getChatCard(message));
+		if (!card || !message.rolls[0]) return;
+		const roll = Roll.fromData(message.rolls[0].toJSON());
+
+		roll.shift(amount);
+		const previousResult = card.resultType;
+		card.resultType = CONFIG.Dice.RollPbtA.getResultType(roll.total, card.resultRanges) ?? previousResult;
+		card.shifts = [...(card.shifts ?? []), { type, name, amount }];
+
+		const { hold } = CONFIG.Dice.RollPbtA.getCardResult(card);
+		roll.options.resultType = card.resultType;
+		roll.options.hold = hold;
+
+		// Options picked for the previous result no longer apply.
+		if (card.resultType !== previousResult && card.picks?.length) {
+			const actor = ChatMessage.getSpeakerActor(message.speaker);
+			for (const { record } of card.picks) {
+				if (record && actor?.isOwner) await actor.undoTrigger(record);
+			}
+			card.picks = [];
+		}
+
+		// Hold follows the result band, so the move's pool has to follow the shift too.
+		if (card.resultType !== previousResult && card.itemUuid) {
+			const item = await fromUuid(card.itemUuid);
+			if (item?.actor && item.system.hold !== undefined) {
+				await item.update({ "system.hold": hold });
+			}
+		}
+
+		return this.updateChatCard(message, card, roll);
+	}
+
+	/**
+	 * Update the state stored in a rolled chat card's flags and re-render the card from it.
+	 * @param {ChatMessage} message	The rolled chat message.
+	 * @param {object} [changes]		Changes merged into the card's flags.
+	 * @param {RollPbtA} [roll]		The card's roll, if it changed.
+	 * @returns {Promise<ChatMessage|void>}
+	 */
+	static async updateChatCard(message, changes = {}, roll = message.rolls[0]) {
+		const card = this.getChatCard(message);
+		if (!card || !roll) return;
+		const updated = foundry.utils.mergeObject(foundry.utils.deepClone(card), changes);
+		const content = await CONFIG.Dice.RollPbtA.renderChatCard(roll, updated);
+		return message.update({ content, rolls: [roll], "flags.pbta.card": updated });
+	}
+
+	/**
+	 * Get the state of a rolled chat card.
+	 * Cards rolled before their state was stored in the message's flags have it rebuilt
+	 * from their roll, their rendered content and the rolled move; it is stored the first time they are updated.
+	 * @param {ChatMessage} message	The rolled chat message.
+	 * @returns {object|null}
+	 */
+	static getChatCard(message) {
+		const card = message?.getFlag("pbta", "card");
+		if (card) return card;
+		const roll = message?.rolls[0];
+		if (!(roll instanceof CONFIG.Dice.RollPbtA) || roll.options.resultType === undefined) return null;
+
+		const { resultType, stat, sheetType, conditions, originalMod, helpTarget } = roll.options;
+		const content = document.createElement("div");
+		content.innerHTML = message.content;
+		const element = content.querySelector(".pbta-chat-card");
+		const actor = ChatMessage.getSpeakerActor(message.speaker);
+		const itemUuid = message.getFlag("pbta", "itemUuid");
+		const itemId = element?.dataset.itemId;
+		const item = (itemUuid && fromUuidSync(itemUuid)) || (itemId && actor?.items.get(itemId)) || null;
+		const moveResults = item?.system?.moveResults ?? {};
+		return {
+			actorId: actor?.id ?? element?.dataset.actorId ?? null,
+			itemId: item?.id ?? itemId ?? null,
+			itemUuid: item?.uuid ?? itemUuid ?? null,
+			tokenId: element?.dataset.tokenId ?? null,
+			image: content.querySelector(".chat-title .item-icon")?.getAttribute("src") ?? item?.img,
+			title: content.querySelector(".chat-title .cell__title")?.textContent ?? item?.name,
+			details: item?.system?.description,
+			choices: item?.system?.choices,
+			rollType: roll.options.rollType,
+			stat,
+			statLabel: stat ? game.pbta.sheetConfig.actorTypes[sheetType]?.stats[stat]?.label ?? stat : undefined,
+			conditions,
+			originalMod,
+			resultType,
+			resultRanges: CONFIG.Dice.RollPbtA.getResultRanges(moveResults),
+			moveResults: CONFIG.Dice.RollPbtA.getCardMoveResults(moveResults),
+			helpInterfere: !!(game.pbta.sheetConfig.helpInterfere && resultType && !helpTarget),
+			targets: [],
+			shifts: (message.getFlag("pbta", "help") ?? [])
+				.map(({ actor, mode, modifier }) => ({ type: mode, name: actor, amount: modifier }))
+		};
+	}
+
+	/**
+	 * Apply a successful Help or Interfere to a rolled chat card and record who did it.
+	 * @param {ChatMessage} message	The chat message of the roll being helped or interfered with.
+	 * @param {object} help
+	 * @param {string} help.actor		The name of the helping or interfering character.
+	 * @param {"help"|"interfere"} help.mode
+	 * @param {number} help.modifier	The modifier applied to the roll.
+	 * @returns {Promise<ChatMessage|void>}
+	 */
+	static async applyHelp(message, { actor, mode, modifier }) {
+		return this.shiftChatCard(message, modifier, { type: mode, name: actor });
+	}
+
+	/**
+	 * Apply a roll's result triggers to one of its targets and list the changes on the roll's chat card.
+	 * Targets the user doesn't own are handed to the GM.
+	 * @param {ChatMessage} message	The roll's chat message.
+	 * @param {string} uuid			The UUID of the targeted actor.
+	 * @param {object[]} triggers
+	 * @returns {Promise<object[]>}	The records of the applied triggers.
+	 */
+	static async applyTargetTriggers(message, uuid, triggers) {
+		const actor = await fromUuid(uuid);
+		if (!actor) return [];
+		if (!actor.isOwner || !message.isOwner) {
+			if (game.users.activeGM) {
+				game.socket.emit("system.pbta", { targetTriggers: { messageId: message.id, uuid } });
+			} else {
+				ui.notifications.warn(game.i18n.localize("PBTA.Targets.noGM"));
+			}
+			return [];
+		}
+		const records = (await actor.applyTriggers(triggers))
+			.map((record) => ({ ...record, target: actor.token?.name ?? actor.name, actorUuid: uuid }));
+		if (records.length) {
+			const current = this.getChatCard(message)?.triggers ?? [];
+			await this.updateChatCard(message, { triggers: [...current, ...records] });
+		}
+		return records;
+	}
+
+	/**
+	 * The triggers a rolled chat card's result applies to its targets,
+	 * declared by the Sheet Config's result and by the rolled move's.
+	 * @param {object} card	The chat card's flags.
+	 * @returns {object[]}
+	 */
+	static getTargetTriggers(card) {
+		const { resultType, itemUuid } = card;
+		if (!resultType) return [];
+		const item = itemUuid ? fromUuidSync(itemUuid) : null;
+		return [
+			...(game.pbta.sheetConfig.rollResults?.[resultType]?.triggers ?? []),
+			...(item?.system?.moveResults?.[resultType]?.triggers ?? [])
+		].filter((t) => t.target);
+	}
 
-				await message.update({ content, rolls });
+	/**
+	 * Pick or unpick one of the options of a rolled chat card's result, up to the number the result lets you choose.
+	 * Options that change an attribute apply the change when picked and undo it when unpicked.
+	 * @param {ChatMessage} message	The rolled chat message.
+	 * @param {number} index			The index of the option in the result's options.
+	 * @returns {Promise<ChatMessage|void>}
+	 */
+	static async pickChatCardOption(message, index) {
+		const card = this.getChatCard(message);
+		if (!card) return;
+		const { choose, options } = CONFIG.Dice.RollPbtA.getCardResult(card);
+		const option = options[index];
+		if (!option) return;
+
+		const actor = ChatMessage.getSpeakerActor(message.speaker);
+		const picks = foundry.utils.deepClone(card.picks ?? []);
+		const picked = picks.findIndex((p) => p.index === index);
+		if (picked >= 0) {
+			const [{ record }] = picks.splice(picked, 1);
+			if (record && actor?.isOwner) await actor.undoTrigger(record);
+		} else {
+			if (choose && picks.length >= choose) {
+				ui.notifications.warn(game.i18n.format("PBTA.ResultOptions.limit", { choose }));
+				return;
+			}
+			const pick = { index };
+			if (option.attribute && option.value && actor?.isOwner) {
+				[pick.record] = await actor.applyTriggers([
+					{ type: "attribute", attribute: option.attribute, value: option.value }
+				]);
 			}
+			picks.push(pick);
+		}
+		return this.updateChatCard(message, { picks });
+	}
+
+	static async _onChatCardFollowUp(event) {
+		event.preventDefault();
+		const button = event.currentTarget;
+		button.disabled = true;
+		try {
+			const messageId = button.closest(".message").dataset.messageId;
+			const message = game.messages.get(messageId);
+			const card = this.getChatCard(message);
+			if (!card) return;
+			const { followUps } = CONFIG.Dice.RollPbtA.getCardResult(card);
+			const followUp = followUps[Number(button.dataset.followUp)];
+			if (!followUp) return;
+			const actor = button.dataset.actorUuid
+				? await fromUuid(button.dataset.actorUuid)
+				: ChatMessage.getSpeakerActor(message.speaker);
+			await this.runFollowUp(followUp, actor);
 		} catch(err) {
-			console.error("Error handling chat card action:", err);
+			console.error("Error running a follow-up from chat card:", err);
 		} finally {
 			button.disabled = false;
 		}
 	}
 
+	/**
+	 * Run one of a move result's follow-up actions: roll an actor's Roll attribute, roll one of its moves,
+	 * or draw from a RollTable. Moves the actor doesn't have are posted to the chat instead.
+	 * @param {object} followUp
+	 * @param {"roll"|"move"|"table"} followUp.type
+	 * @param {string} followUp.key		An attribute key, or a move or table's name or UUID.
+	 * @param {string} [followUp.label]
+	 * @param {Actor} [actor]				The actor that follows up.
+	 * @returns {Promise<*>}
+	 */
+	static async runFollowUp({ type, key, label }, actor) {
+		const resolve = async (collection) => (key.includes(".") ? await fromUuid(key) : collection.getName(key));
+		if (type === "table") {
+			const table = await resolve(game.tables);
+			if (!(table instanceof RollTable)) {
+				ui.notifications.warn(game.i18n.format("PBTA.FollowUps.missing", { key }));
+				return null;
+			}
+			return table.draw();
+		}
+
+		if (!actor?.isOwner) {
+			ui.notifications.warn(game.i18n.localize("PBTA.FollowUps.noActor"));
+			return null;
+		}
+		const options = {};
+		if (!game.settings.get("pbta", "hideRollMode")) {
+			options.rollMode = actor.flags?.pbta?.rollMode;
+		}
+		if (type === "roll") {
+			const { attr } = actor._getAttribute(key) ?? {};
+			if (attr?.type !== "Roll" || !attr.value) {
+				ui.notifications.warn(game.i18n.format("PBTA.FollowUps.missing", { key }));
+				return null;
+			}
+			return actor._onRollAttr(attr.value, label || attr.label, options);
+		}
+
+		const move = await resolve(game.items);
+		const item = move?.parent === actor ? move : actor.items.getName(move?.name ?? key);
+		if (item) return item.roll(options);
+		if (move instanceof Item) return move.roll({ descriptionOnly: true });
+		ui.notifications.warn(game.i18n.format("PBTA.FollowUps.missing", { key }));
+		return null;
+	}
+
+	static async _onChatCardPickOption(event) {
+		event.preventDefault();
+		const index = Number(event.currentTarget.closest("[data-option]").dataset.option);
+		const messageId = event.currentTarget.closest(".message").dataset.messageId;
+		const message = game.messages.get(messageId);
+		if (!message?.isOwner) return;
+		await this.pickChatCardOption(message, index);
+	}
+
+	static async _onChatCardUndoTrigger(event) {
+		event.preventDefault();
+		const index = Number(event.currentTarget.closest("[data-trigger]").dataset.trigger);
+		const messageId = event.currentTarget.closest(".message").dataset.messageId;
+		const message = game.messages.get(messageId);
+		const triggers = foundry.utils.deepClone(this.getChatCard(message)?.triggers ?? []);
+		const record = triggers[index];
+		if (!record || record.undone) return;
+
+		const actor = record.actorUuid
+			? await fromUuid(record.actorUuid)
+			: ChatMessage.getSpeakerActor(message.speaker);
+		if (!actor?.isOwner || !message.isOwner) return;
+		await actor.undoTrigger(record);
+		record.undone = true;
+		await this.updateChatCard(message, { triggers });
+	}
+
+	static async _onChatCardHelp(event) {
+		event.preventDefault();
+		const button = event.currentTarget;
+		button.disabled = true;
+		try {
+			const messageId = button.closest(".message").dataset.messageId;
+			const message = game.messages.get(messageId);
+			if (!message) return;
+
+			const helper = game.user.character ?? canvas.tokens?.controlled[0]?.actor;
+			if (!helper?.isOwner) {
+				ui.notifications.warn(game.i18n.localize("PBTA.Warnings.HelpNoActor"));
+				return;
+			}
+			if (helper === ChatMessage.getSpeakerActor(message.speaker)) {
+				ui.notifications.warn(game.i18n.localize("PBTA.Warnings.HelpSelf"));
+				return;
+			}
+			await helper.rollHelp(message, button.dataset.action);
+		} catch(err) {
+			console.error("Error helping from chat card:", err);
+		} finally {
+			button.disabled = false;
+		}
+	}
+
+	static async _onChatCardSpendHold(event) {
+		event.preventDefault();
+		const button = event.currentTarget;
+		button.disabled = true;
+		try {
+			const messageId = button.closest(".message").dataset.messageId;
+			const message = game.messages.get(messageId);
+			const itemUuid = this.getChatCard(message)?.itemUuid ?? message?.getFlag("pbta", "itemUuid");
+			if (!itemUuid) return;
+
+			const item = await fromUuid(itemUuid);
+			if (item?.isOwner) await item.spendHold();
+		} catch(err) {
+			console.error("Error spending hold from chat card:", err);
+		} finally {
+			button.disabled = false;
+		}
+	}
+
+	static async _onChatCardDamage(event) {
+		event.preventDefault();
+		const button = event.currentTarget;
+		button.disabled = true;
+		try {
+			const messageId = button.closest(".message").dataset.messageId;
+			const message = game.messages.get(messageId);
+			if (!message) return;
+
+			if (button.dataset.action === "rollDamage") {
+				const itemUuid = message.getFlag("pbta", "itemUuid");
+				const item = itemUuid ? await fromUuid(itemUuid) : null;
+				if (item?.isOwner) await item.rollDamage();
+			} else if (button.dataset.action === "applyDamage") {
+				if (message.getFlag("pbta", "damage")) await this.applyDamageToTargets(message);
+			}
+		} catch(err) {
+			console.error("Error handling damage from chat card:", err);
+		} finally {
+			button.disabled = false;
+		}
+	}
+
+	/**
+	 * Apply rolled damage to the user's targets, asking the GM to do so for actors the user doesn't own.
+	 * @param {ChatMessage} message	The damage roll's chat message, whose flags hold the damage
+	 * 								as {amount, ignoreArmor, piercing}.
+	 * @returns {Promise<void>}
+	 */
+	static async applyDamageToTargets(message) {
+		const damage = message.getFlag("pbta", "damage");
+		if (!damage) return;
+		const targets = Array.from(game.user.targets, (t) => t.actor).filter((a) => a);
+		if (!targets.length) {
+			ui.notifications.warn(game.i18n.localize("PBTA.Damage.noTarget"));
+			return;
+		}
+		for (const actor of targets) {
+			if (!actor.canTakeDamage) {
+				ui.notifications.warn(game.i18n.format("PBTA.Damage.noHarm", { target: actor.name }));
+				continue;
+			}
+			const { armor, harm } = actor.getDamageTaken(damage);
+			if (actor.isOwner) {
+				await actor.applyDamage(damage);
+			} else if (game.users.activeGM) {
+				game.socket.emit("system.pbta", { damageApply: { messageId: message.id, uuid: actor.uuid } });
+			} else {
+				ui.notifications.warn(game.i18n.localize("PBTA.Damage.noGM"));
+				continue;
+			}
+			ui.notifications.info(game.i18n.format("PBTA.Damage.applied", { target: actor.name, harm, armor }));
+		}
+	}
+
 	static _onChatCardToggleContent(event) {
 		event.preventDefault();
 		const header = event.currentTarget;
@@ -0,0 +1,76 @@
+export class PbtaAdvancementDialog extends FormApplication {
+	/**
+	 * Open the advancement dialog for an actor.
+	 * @param {Actor} actor		The actor taking an improvement.
+	 * @param {object} [options]
+	 * @param {string} [options.attribute]	The key of the Xp attribute that is spent.
+	 */
+	constructor(actor, options = {}) {
+		super(actor, options);
+		this.actor = actor;
+	}
+
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			title: game.i18n.localize("PBTA.Advancement.title"),
+			classes: ["pbta", "pbta-advancement"],
+			template: "systems/pbta/templates/dialog/advancement.html",
+			width: 420,
+			height: "auto",
+			resizable: true,
+			closeOnSubmit: true,
+			submitOnChange: false
+		});
+	}
+
+	get id() {
+		return `pbta-advancement-${this.actor.id}`;
+	}
+
+	async getData(options) {
+		const playbook = this.actor.playbook.uuid ? await fromUuid(this.actor.playbook.uuid) : null;
+		const history = this.actor.system.advancements ?? [];
+		const improvements = this.actor.getImprovements(playbook);
+
+		let moveOptions = {};
+		if (improvements.some((i) => ["move", "otherMove"].includes(i.type))) {
+			const owned = new Set(this.actor.items.filter((i) => i.type === "move").map((i) => i.name));
+			const moves = (await game.pbta.utils.getMoves()).filter((m) => !owned.has(m.name));
+			const playbookName = playbook?.name ?? this.actor.playbook.name;
+			moveOptions = {
+				move: Object.fromEntries(moves
+					.filter((m) => m.system.playbook && m.system.playbook === playbookName)
+					.map((m) => [m.uuid, m.name])),
+				otherMove: Object.fromEntries(moves
+					.filter((m) => m.system.playbook && m.system.playbook !== playbookName)
+					.map((m) => [m.uuid, `${m.name} (${m.system.playbook})`]))
+			};
+		}
+
+		return {
+			actor: this.actor,
+			playbook,
+			improvements: improvements.map((i) => ({ ...i, moves: moveOptions[i.type] })),
+			history: history.map((h) => ({
+				...h,
+				date: h.timestamp ? new Date(h.timestamp).toLocaleDateString() : ""
+			})).reverse()
+		};
+	}
+
+	async _updateObject(event, formData) {
+		const { improvement: id, moves = {}, detail } = foundry.utils.expandObject(formData);
+		const playbook = this.actor.playbook.uuid ? await fromUuid(this.actor.playbook.uuid) : null;
+		const improvement = this.actor.getImprovements(playbook).find((i) => i.id === id);
+		if (!improvement?.available) {
+			ui.notifications.warn(game.i18n.localize("PBTA.Advancement.noneSelected"));
+			return;
+		}
+		await this.actor.advance(improvement, {
+			attribute: this.options.attribute,
+			move: moves[id],
+			detail,
+			playbook: playbook?.name
+		});
+	}
+}
@@ -0,0 +1,269 @@
+export class PbtaCharacterWizard extends FormApplication {
+	/**
+	 * Open the creation wizard, either for a new character or to fill in an existing one.
+	 * @param {Actor|null} [actor]	An existing character to fill in.
+	 * @param {object} [options]
+	 */
+	constructor(actor = null, options = {}) {
+		super(actor ?? {}, options);
+		this.actor = actor;
+		this.step = 0;
+		this.choices = {
+			playbook: actor?.playbook.uuid ?? "",
+			name: actor?.name ?? "",
+			statArray: 0,
+			looks: {},
+			moves: [],
+			equipment: null,
+			answers: {}
+		};
+	}
+
+	/**
+	 * The steps of the wizard, in order.
+	 * @type {string[]}
+	 */
+	static STEPS = ["playbook", "stats", "identity", "moves", "gear", "questions"];
+
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			classes: ["pbta", "pbta-character-wizard"],
+			template: "systems/pbta/templates/dialog/character-wizard.html",
+			width: 480,
+			height: "auto",
+			resizable: true,
+			closeOnSubmit: false,
+			submitOnChange: false
+		});
+	}
+
+	get id() {
+		return `pbta-character-wizard-${this.actor?.id ?? "new"}`;
+	}
+
+	get title() {
+		const title = game.i18n.localize("PBTA.CharacterWizard.title");
+		return this.actor ? `${title}: ${this.actor.name}` : title;
+	}
+
+	/**
+	 * The currently chosen playbook.
+	 * @returns {Promise<Item|null>}
+	 */
+	async _getPlaybook() {
+		return this.choices.playbook ? fromUuid(this.choices.playbook) : null;
+	}
+
+	async getData(options) {
+		const playbook = await this._getPlaybook();
+		const steps = this.constructor.STEPS;
+		const { choices } = this;
+		const split = (options) => (options ?? "").split(",")
+			.map((o) => o.trim())
+			.filter((o) => o);
+
+		const actorType = this.actor?.sheetType || this.actor?.type;
+		const playbooks = CONFIG.PBTA.playbooks.filter((p) => !actorType || !p.actorType || p.actorType === actorType);
+
+		const sheetConfig = game.pbta.sheetConfig;
+		const stats = sheetConfig.actorTypes[playbook?.system.actorType || "character"]?.stats ?? {};
+		const moveChoices = playbook?.system.moveChoices ?? 0;
+		const moves = playbook?.system.moves ?? [];
+
+		return {
+			step: steps[this.step],
+			steps: steps.map((key, index) => ({
+				key,
+				label: `PBTA.CharacterWizard.steps.${key}`,
+				active: index === this.step,
+				done: index < this.step
+			})),
+			isFirst: this.step === 0,
+			isLast: this.step === steps.length - 1,
+			playbooks,
+			playbook,
+			choices,
+			statArrays: (playbook?.system.statArrays ?? []).map((statArray, index) => ({
+				index,
+				label: statArray.label || `${game.i18n.localize("PBTA.PlaybookGrants.statArray")} ${index + 1}`,
+				checked: index === choices.statArray,
+				values: Object.entries(statArray.values ?? {})
+					.filter(([key, value]) => Number.isNumeric(value))
+					.map(([key, value]) => ({ label: stats[key]?.label ?? key, value }))
+			})),
+			names: split(playbook?.system.names),
+			looks: (playbook?.system.looks ?? []).map((look, index) => ({
+				index,
+				label: look.label,
+				options: Object.fromEntries(split(look.options).map((o) => [o, o])),
+				value: choices.looks[index] ?? ""
+			})),
+			requiredMoves: moves.filter((m) => m.required),
+			optionalMoves: moves.filter((m) => !m.required).map((m) => ({
+				...m,
+				checked: !moveChoices || choices.moves.includes(m.uuid)
+			})),
+			moveChoices,
+			equipment: (playbook?.system.equipment ?? []).map((e) => ({
+				...e,
+				checked: !choices.equipment || choices.equipment.includes(e.uuid)
+			})),
+			questions: (playbook?.system.questions ?? []).map((question, index) => ({
+				index,
+				question,
+				answer: choices.answers[index] ?? ""
+			}))
+		};
+	}
+
+	activateListeners(html) {
+		super.activateListeners(html);
+		html.find(".wizard-back").on("click", this._onChangeStep.bind(this, -1));
+		html.find(".wizard-next").on("click", this._onChangeStep.bind(this, 1));
+		html.find(".wizard-name").on("click", (event) => {
+			event.preventDefault();
+			html.find('input[name="name"]').val(event.currentTarget.dataset.name);
+		});
+
+		const moveChoices = Number(html.find(".wizard-moves").data("choices"));
+		if (moveChoices) {
+			const checkboxes = html.find(".wizard-optional-move").toArray();
+			const limit = () => {
+				const count = checkboxes.filter((c) => c.checked).length;
+				for (const c of checkboxes) c.disabled = !c.checked && count >= moveChoices;
+			};
+			checkboxes.forEach((c) => c.addEventListener("change", limit));
+			limit();
+		}
+	}
+
+	/**
+	 * Store the choices made on the current step.
+	 * @param {object} formData
+	 */
+	async _collectStep(formData) {
+		const data = foundry.utils.expandObject(formData);
+		const playbook = await this._getPlaybook();
+		switch (this.constructor.STEPS[this.step]) {
+			case "playbook":
+				if (data.playbook !== this.choices.playbook) {
+					Object.assign(this.choices, {
+						playbook: data.playbook ?? "",
+						statArray: 0,
+						looks: {},
+						moves: [],
+						equipment: null,
+						answers: {}
+					});
+				}
+				break;
+			case "stats":
+				this.choices.statArray = Number(data.statArray ?? 0);
+				break;
+			case "identity":
+				this.choices.name = data.name?.trim() ?? "";
+				this.choices.looks = data.looks ?? {};
+				break;
+			case "moves": {
+				const optionalMoves = (playbook?.system.moves ?? []).filter((m) => !m.required);
+				this.choices.moves = optionalMoves.filter((m, i) => data.moves?.[i]).map((m) => m.uuid);
+				break;
+			}
+			case "gear":
+				this.choices.equipment = (playbook?.system.equipment ?? [])
+					.filter((e, i) => data.equipment?.[i])
+					.map((e) => e.uuid);
+				break;
+			case "questions":
+				this.choices.answers = data.answers ?? {};
+				break;
+		}
+	}
+
+	/**
+	 * Move to the previous or next step.
+	 * @param {number} direction
+	 * @param {Event} event
+	 */
+	async _onChangeStep(direction, event) {
+		event.preventDefault();
+		await this._collectStep(this._getSubmitData());
+		if (direction > 0 && this.constructor.STEPS[this.step] === "playbook" && !this.choices.playbook) {
+			ui.notifications.warn(game.i18n.localize("PBTA.CharacterWizard.noPlaybook"));
+			return;
+		}
+		this.step = Math.clamped(this.step + direction, 0, this.constructor.STEPS.length - 1);
+		this.render();
+	}
+
+	async _updateObject(event, formData) {
+		await this._collectStep(formData);
+		// Submitting an earlier step, such as by pressing Enter, moves on to the next one.
+		if (this.step < this.constructor.STEPS.length - 1) {
+			if (this.step > 0 || this.choices.playbook) this.step++;
+			this.render();
+			return;
+		}
+		const { choices } = this;
+		const playbook = await this._getPlaybook();
+
+		let actor = this.actor;
+		if (actor) {
+			if (choices.name) await actor.update({ name: choices.name });
+		} else {
+			actor = await Actor.implementation.createDialog({
+				name: choices.name,
+				type: playbook?.system.actorType || "character"
+			});
+			if (!actor) return;
+		}
+
+		// Only remove the items granted by a different playbook, and only once the user agrees to.
+		const granted = actor.getGrantedItems(playbook?.uuid);
+		let removeGranted = false;
+		if (granted.length && actor.system.playbook?.uuid !== playbook?.uuid) {
+			const names = granted.map((i) => Handlebars.escapeExpression(i.name)).join(", ");
+			removeGranted = await Dialog.confirm({
+				title: game.i18n.format("PBTA.PlaybookGrants.applyTitle", { name: playbook?.name ?? actor.name }),
+				content: `<p>${game.i18n.localize("PBTA.CharacterWizard.removeGranted")}</p><p class="notes">${names}</p>`
+			});
+		}
+		await actor.applyPlaybook(playbook, {
+			statArray: choices.statArray,
+			moves: playbook?.system.moveChoices ? choices.moves : undefined,
+			equipment: choices.equipment ?? undefined,
+			removeGranted: !!removeGranted
+		});
+
+		const updates = {};
+		const look = (playbook?.system.looks ?? [])
+			.map((l, i) => [l.label, choices.looks[i]])
+			.filter(([label, value]) => value)
+			.map(([label, value]) => (label ? `${label}: ${value}` : value))
+			.join(", ");
+		const answers = (playbook?.system.questions ?? [])
+			.map((question, i) => [question, choices.answers[i]?.trim()])
+			.filter(([question, answer]) => answer)
+			.map(([question, answer]) => {
+				const escape = Handlebars.escapeExpression;
+				return `<p><strong>${escape(question)}</strong></p><p>${escape(answer)}</p>`;
+			})
+			.join("");
+
+		let details = "";
+		const { group, attr } = actor._getAttribute("look") ?? {};
+		if (look && group && ["Text", "LongText"].includes(attr.type)) {
+			updates[`system.${group}.look.value`] = look;
+		} else if (look) {
+			details += `<p>${Handlebars.escapeExpression(look)}</p>`;
+		}
+		details += answers;
+		const detailKey = Object.keys(actor.system.details ?? {})[0];
+		if (details && detailKey) {
+			updates[`system.details.${detailKey}.value`] = `${actor.system.details[detailKey].value ?? ""}${details}`;
+		}
+		if (!foundry.utils.isEmpty(updates)) await actor.update(updates);
+		await this.close();
+		actor.sheet.render(true);
+	}
+}
@@ -0,0 +1,112 @@
+export class PbtaClockConfig extends FormApplication {
+	constructor(object = {}, options = {}) {
+		super(object, options);
+		this.clocks = foundry.utils.deepClone(game.settings.get("pbta", "clocks") ?? []);
+		this._source = foundry.utils.deepClone(this.clocks);
+	}
+
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			title: game.i18n.localize("PBTA.Clocks.configure"),
+			id: "pbta-clock-config",
+			classes: ["pbta", "pbta-clock-config"],
+			template: "systems/pbta/templates/dialog/clock-config.html",
+			width: 560,
+			height: "auto",
+			resizable: true,
+			closeOnSubmit: true,
+			submitOnChange: false
+		});
+	}
+
+	async getData(options) {
+		const sizes = Object.fromEntries(game.pbta.applications.clocks.PbtaClockPanel.SIZES.map((s) => [s, s]));
+		return {
+			clocks: this.clocks,
+			sizes
+		};
+	}
+
+	activateListeners(html) {
+		super.activateListeners(html);
+		html.find(".clock-create").on("click", this._onClockCreate.bind(this));
+		html.find(".clock-delete").on("click", this._onClockDelete.bind(this));
+	}
+
+	/**
+	 * Read the clocks currently entered in the form.
+	 * @param {object} formData
+	 * @returns {object[]}
+	 */
+	_readClocks(formData) {
+		const { clocks = {} } = foundry.utils.expandObject(formData);
+		return Object.values(clocks).map((clock) => {
+			const size = Number(clock.size) || 4;
+			return {
+				id: clock.id || foundry.utils.randomID(),
+				name: clock.name?.trim() ?? "",
+				size,
+				value: Math.clamped(Number(clock.value) || 0, 0, size),
+				visible: !!clock.visible,
+				playerEdit: !!clock.playerEdit
+			};
+		});
+	}
+
+	/**
+	 * Add a new, empty clock.
+	 * @param {Event} event
+	 */
+	_onClockCreate(event) {
+		event.preventDefault();
+		this.clocks = this._readClocks(this._getSubmitData());
+		this.clocks.push({
+			id: foundry.utils.randomID(),
+			name: "",
+			size: 4,
+			value: 0,
+			visible: true,
+			playerEdit: false
+		});
+		this.render();
+	}
+
+	/**
+	 * Remove a clock.
+	 * @param {Event} event
+	 */
+	_onClockDelete(event) {
+		event.preventDefault();
+		const index = Number(event.currentTarget.closest("[data-index]").dataset.index);
+		this.clocks = this._readClocks(this._getSubmitData());
+		this.clocks.splice(index, 1);
+		this.render();
+	}
+
+	/**
+	 * Save the clocks entered in the form into the world's current clocks.
+	 * Only the fields changed in the form are written, so that clocks ticked while it was open keep their value.
+	 * @param {Event} event
+	 * @param {object} formData
+	 */
+	async _updateObject(event, formData) {
+		this.clocks = this._readClocks(formData);
+		const current = game.settings.get("pbta", "clocks") ?? [];
+		const source = new Map(this._source.map((c) => [c.id, c]));
+		const edited = new Set(this.clocks.map((c) => c.id));
+		const clocks = this.clocks.map((clock) => {
+			const original = source.get(clock.id);
+			if (!original) return clock;
+			const latest = current.find((c) => c.id === clock.id);
+			// Clocks deleted elsewhere while the form was open stay deleted.
+			if (!latest) return null;
+			const changes = Object.fromEntries(Object.entries(clock).filter(([key, value]) => value !== original[key]));
+			const merged = { ...latest, ...changes };
+			merged.value = Math.clamped(merged.value, 0, merged.size);
+			return merged;
+		}).filter((clock) => clock);
+		// Keep clocks created elsewhere while the form was open.
+		clocks.push(...current.filter((c) => !source.has(c.id) && !edited.has(c.id)));
+		await game.settings.set("pbta", "clocks", clocks);
+	}
+}
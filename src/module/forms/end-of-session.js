@@ -0,0 +1,129 @@
+import { PbtaRollRequestDialog } from "./roll-request.js";
+
+export class PbtaEndOfSessionDialog extends FormApplication {
+	constructor(actor, options = {}) {
+		super(actor, options);
+		this.session = options.session ?? null;
+	}
+
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			classes: ["pbta", "pbta-end-of-session"],
+			template: "systems/pbta/templates/dialog/end-of-session.hbs",
+			width: 420,
+			height: "auto",
+			closeOnSubmit: true,
+			submitOnChange: false
+		});
+	}
+
+	get id() {
+		return `pbta-end-of-session-${this.object.id}`;
+	}
+
+	get title() {
+		return game.i18n.format("PBTA.Session.endOfSession", { actor: this.object.name });
+	}
+
+	async getData(options) {
+		const { questions = [] } = game.pbta.sheetConfig?.endOfSession || {};
+		return {
+			actor: this.object,
+			session: this.session,
+			questions,
+			relationships: this.constructor.getRelationships(this.object)
+		};
+	}
+
+	async _updateObject(event, formData) {
+		const { questions = [], attribute } = game.pbta.sheetConfig?.endOfSession || {};
+		const { answers = {}, relationships = {}, reset = {} } = foundry.utils.expandObject(formData);
+
+		// Relationships are reset to their default or set to the values the player adjusted.
+		const resetKeys = Object.keys(reset).filter((key) => reset[key]);
+		if (resetKeys.length) await this.object.resetRelationships(resetKeys);
+		const updates = {};
+		for (const [key, values] of Object.entries(relationships)) {
+			const { group, attr } = this.object._getAttribute(key) ?? {};
+			if (attr?.type !== "Relationship" || resetKeys.includes(key)) continue;
+			for (const [actorId, value] of Object.entries(values)) {
+				updates[`system.${group}.${key}.value.${actorId}`] = value;
+			}
+		}
+		if (!foundry.utils.isEmpty(updates)) await this.object.update(updates);
+
+		if (!questions.length) return;
+		const { group } = this.object._getAttribute(attribute) ?? {};
+		if (!group || !foundry.utils.hasProperty(this.object.system, `${group}.${attribute}.value`)) {
+			ui.notifications.warn(game.i18n.format("PBTA.Session.noXpAttribute", { actor: this.object.name, attribute }));
+			return;
+		}
+		const xp = questions.reduce((total, q, index) => total + (answers[index] ? q.xp : 0), 0);
+		if (xp) await this.object.applyTriggers([{ type: "attribute", attribute, value: xp }]);
+		await ChatMessage.create({
+			content: `<p>${game.i18n.format("PBTA.Session.xpAwarded", {
+				actor: foundry.utils.escapeHTML(this.object.name),
+				xp
+			})}</p>`,
+			speaker: ChatMessage.getSpeaker({ actor: this.object })
+		});
+	}
+
+	/**
+	 * The actor's Relationship attributes, with its current value for each other player character.
+	 * @param {Actor} actor
+	 * @returns {object[]}
+	 */
+	static getRelationships(actor) {
+		const targets = actor.getRelationshipTargets();
+		if (!targets.length) return [];
+		return Object.entries(actor.system.attributes ?? {})
+			.filter(([key, attr]) => attr?.type === "Relationship")
+			.map(([key, attr]) => ({
+				key,
+				label: attr.label,
+				boolean: attr.style === "boolean",
+				targets: targets.map((a) => ({
+					id: a.id,
+					name: a.name,
+					img: a.img,
+					value: attr.value?.[a.id] ?? attr.default
+				}))
+			}));
+	}
+
+	/**
+	 * Ask every connected player to answer the End of Session questions for their character,
+	 * and to adjust or reset its relationships.
+	 * @param {number} session	The number of the session that ended.
+	 */
+	static requestAll(session) {
+		const hasQuestions = !!game.pbta.sheetConfig?.endOfSession?.questions?.length;
+		const offline = [];
+		for (const actor of game.actors.filter((a) => a.baseType === "character" && a.hasPlayerOwner && !a.retired)) {
+			if (!hasQuestions && !this.getRelationships(actor).length) continue;
+			const user = PbtaRollRequestDialog.getRequestedUser(actor);
+			if (!user) {
+				offline.push(actor.name);
+				continue;
+			}
+			game.socket.emit("system.pbta", { endOfSession: { actorId: actor.id, userId: user.id, session } });
+		}
+		if (offline.length) {
+			ui.notifications.warn(game.i18n.format("PBTA.Session.offline", { actors: offline.join(", ") }));
+		}
+	}
+
+	/**
+	 * Open the End of Session step for the player asked to answer it.
+	 * @param {object} request
+	 * @param {string} request.actorId
+	 * @param {string} request.userId	The player asked to answer.
+	 * @param {number} request.session	The number of the session that ended.
+	 */
+	static onRequest({ actorId, userId, session }) {
+		if (userId !== game.user.id) return;
+		const actor = game.actors.get(actorId);
+		if (actor?.isOwner) new this(actor, { session }).render(true);
+	}
+}
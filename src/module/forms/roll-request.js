@@ -0,0 +1,185 @@
+export class PbtaRollRequestDialog extends FormApplication {
+	/**
+	 * Requests sent from this client, keyed by request ID.
+	 * @type {Map<string, object>}
+	 */
+	static requests = new Map();
+
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			title: game.i18n.localize("PBTA.RollRequest.title"),
+			id: "pbta-roll-request",
+			classes: ["pbta", "pbta-roll-request"],
+			template: "systems/pbta/templates/dialog/roll-request.html",
+			width: 420,
+			height: "auto",
+			resizable: true,
+			closeOnSubmit: false,
+			submitOnChange: false
+		});
+	}
+
+	/**
+	 * Characters that are owned by at least one player.
+	 * @type {Actor[]}
+	 */
+	get characters() {
+		return game.actors.filter((a) => a.baseType === "character"
+			&& game.users.some((u) => !u.isGM && a.testUserPermission(u, "OWNER")));
+	}
+
+	async getData(options) {
+		const characters = this.characters;
+
+		const stats = {};
+		const moves = {};
+		for (const actor of characters) {
+			for (const [key, stat] of Object.entries(actor.system.stats ?? {})) {
+				if (key === "token" && game.pbta.sheetConfig.statToken) continue;
+				stats[`stat.${key}`] ??= stat.label ?? key;
+			}
+			for (const item of actor.items) {
+				if (item.type !== "move" || !item.system.rollType) continue;
+				moves[`move.${item.name}`] ??= item.name;
+			}
+		}
+
+		const requests = Array.from(this.constructor.requests.values()).reverse();
+		return {
+			characters: characters.map((a) => ({ id: a.id, name: a.name, img: a.img })),
+			rollOptions: {
+				[game.i18n.localize("PBTA.Stat.labelPl")]: stats,
+				[game.i18n.localize("PBTA.Moves")]: moves
+			},
+			requests
+		};
+	}
+
+	async _updateObject(event, formData) {
+		const { actors = {}, roll } = foundry.utils.expandObject(formData);
+		const actorIds = Object.keys(actors).filter((id) => actors[id]);
+		if (!actorIds.length || !roll) {
+			ui.notifications.warn(game.i18n.localize("PBTA.RollRequest.empty"));
+			return;
+		}
+
+		const [type, ...rest] = roll.split(".");
+		const key = rest.join(".");
+		const label = type === "stat"
+			? this.characters.map((a) => a.system.stats?.[key]?.label).find((l) => l) ?? key
+			: key;
+
+		const requestId = foundry.utils.randomID();
+		const request = { id: requestId, label, responses: {} };
+		this.constructor.requests.set(requestId, request);
+
+		for (const actorId of actorIds) {
+			const actor = game.actors.get(actorId);
+			if (!actor) continue;
+			const user = this.constructor.getRequestedUser(actor);
+			request.responses[actorId] = {
+				name: actor.name,
+				status: user ? "pending" : "offline",
+				result: ""
+			};
+			if (!user) continue;
+			game.socket.emit("system.pbta", {
+				rollRequest: {
+					requestId,
+					actorId,
+					type,
+					key,
+					label,
+					userId: user.id,
+					requesterId: game.user.id
+				}
+			});
+		}
+		this.render();
+	}
+
+	/**
+	 * Find the active player that should be asked to roll for an actor.
+	 * A player's assigned character takes precedence over other owners.
+	 * @param {Actor} actor
+	 * @returns {User|undefined}
+	 */
+	static getRequestedUser(actor) {
+		const owners = game.users.filter((u) => u.active && !u.isGM && actor.testUserPermission(u, "OWNER"));
+		return owners.find((u) => u.character?.id === actor.id) ?? owners[0];
+	}
+
+	/**
+	 * Prompt the player with a roll request from the GM and roll it if they accept.
+	 * @param {object} request
+	 * @param {string} request.requestId
+	 * @param {string} request.actorId	The actor that should roll.
+	 * @param {"stat"|"move"} request.type
+	 * @param {string} request.key		The stat key or the move name.
+	 * @param {string} request.label
+	 * @param {string} request.userId	The player asked to roll.
+	 * @param {string} request.requesterId	The GM that sent the request.
+	 * @returns {Promise<void>}
+	 */
+	static async onRequest({ requestId, actorId, type, key, label, userId, requesterId }) {
+		if (userId !== game.user.id) return;
+		const actor = game.actors.get(actorId);
+		if (!actor) return;
+
+		const respond = (status, result = "") => game.socket.emit("system.pbta", {
+			rollResponse: { requestId, actorId, status, result, userId: requesterId }
+		});
+
+		const item = type === "move" ? actor.items.find((i) => i.type === "move" && i.name === key) : null;
+		if (type === "move" && !item) {
+			respond("missing");
+			return;
+		}
+
+		const accepted = await Dialog.confirm({
+			title: game.i18n.localize("PBTA.RollRequest.title"),
+			content: `<p>${game.i18n.format("PBTA.RollRequest.prompt", { actor: actor.name, label })}</p>`,
+			yes: () => true,
+			no: () => false,
+			defaultYes: true,
+			rejectClose: false
+		});
+		if (!accepted) {
+			respond("declined");
+			return;
+		}
+
+		const options = {};
+		if (!game.settings.get("pbta", "hideRollMode")) {
+			options.rollMode = actor.flags?.pbta?.rollMode;
+		}
+		const r = item
+			? await item.roll(options)
+			: await actor._onRollStat(key, label, options);
+		if (!r) {
+			respond("declined");
+			return;
+		}
+		const resultRanges = CONFIG.Dice.RollPbtA.getResultRanges(item?.system.moveResults);
+		const result = resultRanges[r.options.resultType]?.label ?? r.options.resultType ?? "";
+		respond("rolled", `${r.total}${result ? ` (${result})` : ""}`);
+	}
+
+	/**
+	 * Record a player's response to a roll request and refresh the open request window.
+	 * @param {object} response
+	 * @param {string} response.requestId
+	 * @param {string} response.actorId
+	 * @param {string} response.status	One of "rolled", "declined" or "missing".
+	 * @param {string} response.result	The roll's total and result label.
+	 * @param {string} response.userId	The GM that sent the request.
+	 */
+	static onResponse({ requestId, actorId, status, result, userId }) {
+		if (userId !== game.user.id) return;
+		const request = this.requests.get(requestId);
+		if (!request?.responses[actorId]) return;
+		Object.assign(request.responses[actorId], { status, result });
+		const app = Object.values(ui.windows).find((w) => w instanceof this);
+		app?.render();
+	}
+}
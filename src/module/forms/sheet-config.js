@@ -486,8 +486,10 @@ export class PbtaSettingsConfigDialog extends FormApplication {
 			return true;
 		}
 
-		let arr1 = Object.values(options1).map((a) => a.label);
-		let arr2 = Object.values(options2).map((a) => a.label);
+		// Compare the condition settings as well, so that changing them updates existing actors.
+		const signature = (option) => JSON.stringify([option.label, game.pbta.utils.getConditionSettings(option)]);
+		let arr1 = Object.values(options1).map(signature);
+		let arr2 = Object.values(options2).map(signature);
 
 		let options1String = arr1.sort().join("");
 		let options2String = arr2.sort().join("");
@@ -104,6 +104,47 @@ export async function migrateWorld() {
 	ui.notifications.info(game.i18n.format("PBTA.Migration.Complete", { version }), { permanent: true });
 }
 
+/* -------------------------------------------- */
+
+/**
+ * Delete the copies of item effects that were transferred to actors before effects were applied
+ * straight from their items, then stop transferring them, so that no effect applies twice.
+ */
+export async function migrateTransferredEffects() {
+	const actors = [...game.actors];
+	for (const scene of game.scenes) {
+		for (const token of scene.tokens) {
+			if (!token.actorLink && token.actor) actors.push(token.actor);
+		}
+	}
+	for (const actor of actors) {
+		try {
+			const ids = actor.effects.filter((e) => _isTransferredEffect(actor, e)).map((e) => e.id);
+			if (!ids.length) continue;
+			console.log(`Deleting transferred item effects from Actor document ${actor.name}`);
+			await actor.deleteEmbeddedDocuments("ActiveEffect", ids);
+		} catch(err) {
+			err.message = `Failed pbta system migration of transferred effects for Actor ${actor.name}: ${err.message}`;
+			console.error(err);
+		}
+	}
+	await game.settings.set("pbta", "legacyTransferral", false);
+}
+
+/**
+ * Whether an actor's effect is a copy of an effect that one of its items transfers.
+ * @param {Actor} actor
+ * @param {ActiveEffect} effect
+ * @returns {boolean}
+ * @private
+ */
+function _isTransferredEffect(actor, effect) {
+	const [, itemId] = effect.origin?.match(/Item\.([^.]+)$/) ?? [];
+	const item = itemId ? actor.items.get(itemId) : null;
+	if (!item || !effect.origin.startsWith(actor.uuid)) return false;
+	return item.effects.some((e) => e.transfer && e.name === effect.name);
+}
+
 /**
  * Migrate a single Actor document to incorporate latest data model changes
  * Return an Object of updateData to be applied
@@ -15,6 +15,10 @@ import * as dice from "./dice/_module.js";
 import * as documents from "./documents/_module.js";
 import * as migrations from "./migration.js";
 import * as utils from "./utils.js";
+import { PbtaRollRequestDialog } from "./forms/roll-request.js";
+import { PbtaCharacterWizard } from "./forms/character-wizard.js";
+import { PbtaEndOfSessionDialog } from "./forms/end-of-session.js";
+import { PbtaSession } from "./session.js";
 
 /* -------------------------------------------- */
 /*  Foundry VTT Initialization                  */
@@ -28,6 +32,7 @@ globalThis.pbta = {
 	dice,
 	documents,
 	migrations,
+	session: PbtaSession,
 	utils
 };
 
@@ -41,6 +46,7 @@ Hooks.once("init", async function () {
 	CONFIG.Actor.dataModels.character = dataModels.CharacterData;
 	CONFIG.Actor.dataModels.npc = dataModels.NpcData;
 	CONFIG.Actor.dataModels.other = dataModels.OtherData;
+	CONFIG.Actor.dataModels.front = dataModels.FrontData;
 
 	CONFIG.Item.dataModels.equipment = dataModels.EquipmentData;
 	CONFIG.Item.dataModels.move = dataModels.MoveData;
@@ -48,11 +54,52 @@ Hooks.once("init", async function () {
 	CONFIG.Item.dataModels.playbook = dataModels.PlaybookData;
 	CONFIG.Item.dataModels.tag = dataModels.ItemData;
 
-	game.socket.on("system.pbta", (data) => {
+	game.socket.on("system.pbta", (data, senderId) => {
+		// Only act on what the user who sent the message is allowed to do.
+		const sender = game.users.get(senderId);
 		if (game.user.isGM && data.combatantUpdate) {
 			game.combat.updateEmbeddedDocuments("Combatant", Array.isArray(data.combatantUpdate) ? data.combatantUpdate : [data.combatantUpdate]);
 			ui.combat.render();
 		}
+		if (game.users.activeGM?.isSelf && data.helpUpdate && sender) {
+			// Players can only help with a character they own, on someone else's roll, by the configured amount.
+			const { messageId, actorId, mode } = data.helpUpdate;
+			const message = game.messages.get(messageId);
+			const helper = game.actors.get(actorId);
+			const modifier = game.pbta.sheetConfig.helpInterfere?.[mode];
+			const author = message?.author ?? message?.user;
+			if (message && author?.id !== sender.id && helper?.testUserPermission(sender, "OWNER")
+				&& ["help", "interfere"].includes(mode) && Number.isNumeric(modifier)) {
+				documents.ItemPbta.applyHelp(message, { actor: helper.name, mode, modifier: Number(modifier) });
+			}
+		}
+		if (game.users.activeGM?.isSelf && data.clockUpdate && sender) {
+			applications.clocks.PbtaClockPanel.onClockUpdate({ ...data.clockUpdate, userId: sender.id });
+		}
+		if (game.users.activeGM?.isSelf && data.targetTriggers) {
+			// Only the roll's author can apply its triggers, once, to the roll's targets.
+			// The triggers are read from the card's result rather than trusted from the message.
+			const { messageId, uuid } = data.targetTriggers;
+			const message = game.messages.get(messageId);
+			const card = message ? documents.ItemPbta.getChatCard(message) : null;
+			const targeted = card?.targets?.some((t) => t.uuid === uuid);
+			const applied = card?.triggers?.some((t) => t.actorUuid === uuid);
+			if (targeted && !applied && sender && message.testUserPermission(sender, "OWNER")) {
+				documents.ItemPbta.applyTargetTriggers(message, uuid, documents.ItemPbta.getTargetTriggers(card));
+			}
+		}
+		if (game.users.activeGM?.isSelf && data.damageApply) {
+			// The damage is read from its chat card, and only applied to actors the sender targets.
+			const { messageId, uuid } = data.damageApply;
+			const damage = game.messages.get(messageId)?.getFlag("pbta", "damage");
+			const targeted = Array.from(sender?.targets ?? []).some((t) => t.actor?.uuid === uuid);
+			if (damage && targeted) fromUuid(uuid).then((actor) => actor?.applyDamage(damage));
+		}
+		if (data.rollRequest && sender?.isGM) PbtaRollRequestDialog.onRequest(data.rollRequest);
+		if (data.rollResponse && sender && game.actors.get(data.rollResponse.actorId)?.testUserPermission(sender, "OWNER")) {
+			PbtaRollRequestDialog.onResponse(data.rollResponse);
+		}
+		if (data.endOfSession && sender?.isGM) PbtaEndOfSessionDialog.onRequest(data.endOfSession);
 	});
 
 	CONFIG.Dice.RollPbtA = dice.RollPbtA;
@@ -60,6 +107,7 @@ Hooks.once("init", async function () {
 
 	CONFIG.PBTA = PBTA;
 	CONFIG.Actor.documentClass = documents.ActorPbta;
+	CONFIG.ActiveEffect.documentClass = documents.ActiveEffectPbta;
 	CONFIG.Item.documentClass = documents.ItemPbta;
 	CONFIG.Token.objectClass = canvas.TokenPbta;
 
@@ -80,6 +128,11 @@ Hooks.once("init", async function () {
 		makeDefault: true,
 		label: "PBTA.SheetClassNPC"
 	});
+	Actors.registerSheet("pbta", applications.actor.PbtaFrontSheet, {
+		types: ["front"],
+		makeDefault: true,
+		label: "PBTA.SheetClassFront"
+	});
 	Items.unregisterSheet("core", ItemSheet);
 	Items.registerSheet("pbta", applications.item.PbtaItemSheet, {
 		makeDefault: true,
@@ -100,6 +153,9 @@ Hooks.once("init", async function () {
 Hooks.on("i18nInit", () => {
 	registerSettings();
 
+	// Apply effects straight from the items that carry them, once the world's actors no longer hold copies of them.
+	CONFIG.ActiveEffect.legacyTransferral = game.settings.get("pbta", "legacyTransferral");
+
 	// Build out character data structures.
 	const pbtaSettings = game.settings.get("pbta", "sheetConfig");
 
@@ -147,6 +203,49 @@ Hooks.once("setup", function () {
 					iconClasses: ["fas", "fa-file-alt"],
 					label: "PBTA.Settings.sheetConfig.label"
 				},
+				{
+					action: async (ev) => {
+						ev.preventDefault();
+						if (!PbtaSession.current.active) {
+							await PbtaSession.start();
+							return;
+						}
+						const resetRelationships = await Dialog.confirm({
+							title: game.i18n.localize("PBTA.Session.end"),
+							content: `<p>${game.i18n.format("PBTA.Session.endHint", { number: PbtaSession.current.number })}</p>
+								<div class="form-group">
+									<label class="checkbox">
+										<input type="checkbox" name="resetRelationships"/>
+										${game.i18n.localize("PBTA.Session.resetRelationships")}
+									</label>
+								</div>`,
+							yes: (html) => html.find("[name=resetRelationships]").prop("checked"),
+							no: () => null,
+							rejectClose: false
+						});
+						if (resetRelationships === null || resetRelationships === undefined) return;
+						const journal = await PbtaSession.end({ resetRelationships });
+						journal?.sheet.render(true);
+					},
+					iconClasses: ["fas", PbtaSession.current.active ? "fa-flag-checkered" : "fa-play"],
+					label: PbtaSession.current.active
+						? game.i18n.format("PBTA.Session.endNumber", { number: PbtaSession.current.number })
+						: game.i18n.format("PBTA.Session.start", { number: (Number(PbtaSession.current.number) || 0) + 1 })
+				},
+				game.pbta.sheetConfig?.statToggle && {
+					action: async (ev) => {
+						ev.preventDefault();
+						const confirm = await Dialog.confirm({
+							title: game.i18n.format("PBTA.Settings.clearHighlights.label", { label: game.pbta.sheetConfig.statToggle.label }),
+							content: `<p>${game.i18n.localize("PBTA.Settings.clearHighlights.hint")}</p>`
+						});
+						if (!confirm) return;
+						await documents.ActorPbta.clearHighlights();
+						ui.notifications.info(game.i18n.localize("PBTA.Settings.clearHighlights.done"));
+					},
+					iconClasses: ["fas", "fa-eraser"],
+					label: game.i18n.format("PBTA.Settings.clearHighlights.label", { label: game.pbta.sheetConfig?.statToggle?.label })
+				},
 				{
 					action: (ev) => {
 						ev.preventDefault();
@@ -155,7 +254,7 @@ Hooks.once("setup", function () {
 					iconClasses: ["fas", "fa-question-circle"],
 					label: "PBTA.Settings.button.help"
 				}
-			].map(({ action, iconClasses, label }) => {
+			].filter((b) => b).map(({ action, iconClasses, label }) => {
 				const button = document.createElement("button");
 				button.type = "button";
 
@@ -222,6 +321,10 @@ Hooks.once("ready", async function () {
 		}, timeout);
 	}
 
+	// Show the world's shared clocks.
+	game.pbta.clockPanel = new applications.clocks.PbtaClockPanel();
+	game.pbta.clockPanel.render(true);
+
 	// Wait to register hotbar drop hook on ready so that modules could register earlier if they want to
 	Hooks.on("hotbarDrop", (bar, data, slot) => {
 		if (["Item"].includes(data.type)) {
@@ -245,6 +348,7 @@ Hooks.once("ready", async function () {
 
 	// Run migrations.
 	if (!game.user.isGM) return;
+	if (game.settings.get("pbta", "legacyTransferral")) await migrations.migrateTransferredEffects();
 	const cv = game.settings.get("pbta", "systemMigrationVersion");
 	const totalDocuments = game.actors.size + game.scenes.size + game.items.size;
 	if (!cv && totalDocuments === 0) return game.settings.set("pbta", "systemMigrationVersion", game.system.version);
@@ -254,6 +358,27 @@ Hooks.once("ready", async function () {
 	migrations.migrateWorld();
 });
 
+// Changing the active scene ends the scene for bonuses that last until then.
+Hooks.on("updateScene", (scene, changed) => {
+	if (changed.active && game.users.activeGM?.isSelf) {
+		documents.ActorPbta.expireBonuses("scene");
+	}
+});
+
+Hooks.on("renderActiveEffectConfig", (app, html) => {
+	const expiry = app.object.getFlag("pbta", "expiry") ?? "";
+	const options = HandlebarsHelpers.selectOptions(CONFIG.PBTA.effectExpiry, {
+		hash: { selected: expiry, localize: true }
+	});
+	html.find(".tab[data-tab=duration]").append(`
+		<div class="form-group">
+			<label>${game.i18n.localize("PBTA.Effects.expiry.label")}</label>
+			<select name="flags.pbta.expiry">${options}</select>
+		</div>
+	`);
+	app.setPosition({ height: "auto" });
+});
+
 Hooks.on("renderChatMessage", (data, html, options) => {
 	if (game.settings.get("pbta", "autoCollapseItemCards")) {
 		html.find(".card-content").hide();
@@ -262,15 +387,39 @@ Hooks.on("renderChatMessage", (data, html, options) => {
 		html.find(".result-details").hide();
 		html.find(".result-choices").hide();
 	}
+	if (!game.user.isGM) html.find(".pbta-chat-card .target-moves").hide();
 	const cardButtons = html.find(".pbta-chat-card .card-buttons");
 	if (!game.user.isGM || !game.pbta.sheetConfig?.rollShifting) {
 		cardButtons.hide();
 	}
+	const actor = ChatMessage.getSpeakerActor(data.speaker);
+	html.find(".pbta-chat-card .follow-up-buttons button").each((i, button) => {
+		const { actorUuid } = button.dataset;
+		const owner = actorUuid ? fromUuidSync(actorUuid)?.isOwner : actor?.isOwner;
+		if (!owner) button.style.display = "none";
+	});
+	if (!actor?.isOwner) {
+		html.find(".pbta-chat-card .hold-buttons").hide();
+		html.find(".pbta-chat-card .damage-buttons").hide();
+		html.find(".pbta-chat-card .trigger-undo").hide();
+	} else {
+		html.find(".pbta-chat-card .help-buttons").hide();
+	}
 });
 
 Hooks.on("renderChatLog", (app, html, data) => documents.ItemPbta.chatListeners(html));
 Hooks.on("renderChatPopout", (app, html, data) => documents.ItemPbta.chatListeners(html));
 
+Hooks.on("renderActorDirectory", (app, html, data) => {
+	if (!game.user.can("ACTOR_CREATE")) return;
+	const button = document.createElement("button");
+	button.type = "button";
+	button.classList.add("character-wizard");
+	button.innerHTML = `<i class="fas fa-hat-wizard"></i> ${game.i18n.localize("PBTA.CharacterWizard.title")}`;
+	button.addEventListener("click", () => new PbtaCharacterWizard().render(true));
+	html[0].querySelector(".header-actions")?.append(button);
+});
+
 /**
  * Configure explicit lists of attributes that are trackable on the token HUD and in the combat tracker.
  * @internal
@@ -302,5 +451,10 @@ function _configureTrackableAttributes() {
 		}
 	}
 
+	trackableAttributes.front = {
+		bar: ["countdown"],
+		value: []
+	};
+
 	CONFIG.Actor.trackableAttributes = trackableAttributes;
 }
@@ -0,0 +1,105 @@
+import { PbtaEndOfSessionDialog } from "./forms/end-of-session.js";
+
+/**
+ * Starts and ends the world's play sessions, tidying up after each one.
+ */
+export class PbtaSession {
+	/**
+	 * The current session, or the last one if none is being played.
+	 * @type {{number: number, active: boolean, started: number|null}}
+	 */
+	static get current() {
+		return game.settings.get("pbta", "session");
+	}
+
+	/**
+	 * Start the next session, resetting the experience characters can mark from highlighted stats.
+	 * @returns {Promise<object>}	The new session.
+	 */
+	static async start() {
+		const session = {
+			number: (Number(this.current.number) || 0) + 1,
+			active: true,
+			started: Date.now()
+		};
+		await game.settings.set("pbta", "session", session);
+
+		const updates = game.actors
+			.filter((a) => a.baseType === "character" && a.getFlag("pbta", "highlightXp"))
+			.map((a) => ({ _id: a.id, "flags.pbta.-=highlightXp": null }));
+		await CONFIG.Actor.documentClass.updateDocuments(updates);
+
+		await ChatMessage.create({
+			content: `<h3>${game.i18n.format("PBTA.Session.started", { number: session.number })}</h3>`
+		});
+		return session;
+	}
+
+	/**
+	 * End the current session. Players are asked the End of Session questions, highlights are cleared,
+	 * effects and bonuses lasting until the end of the session expire and the session's moves are logged in a journal.
+	 * @param {object} [options]
+	 * @param {boolean} [options.resetRelationships]	Reset every character's relationships to their default.
+	 * @returns {Promise<JournalEntry|null>}	The session's log.
+	 */
+	static async end({ resetRelationships = false } = {}) {
+		const session = this.current;
+		if (!session.active) return null;
+
+		PbtaEndOfSessionDialog.requestAll(session.number);
+
+		const ActorPbta = CONFIG.Actor.documentClass;
+		await ActorPbta.clearHighlights();
+		await ActorPbta.expireEffects("session");
+		await ActorPbta.expireBonuses("scene");
+		await ActorPbta.expireBonuses("session");
+		if (resetRelationships) {
+			for (const actor of game.actors.filter((a) => a.baseType === "character")) {
+				await actor.resetRelationships();
+			}
+		}
+
+		const journal = await this.createLog(session);
+		await game.settings.set("pbta", "session", { ...session, active: false });
+		await ChatMessage.create({
+			content: `<h3>${game.i18n.format("PBTA.Session.ended", { number: session.number })}</h3>`
+		});
+		return journal;
+	}
+
+	/**
+	 * Write a journal entry listing every move rolled in the chat during a session.
+	 * @param {object} session
+	 * @param {number} session.number
+	 * @param {number} session.started	When the session started.
+	 * @returns {Promise<JournalEntry>}
+	 */
+	static async createLog({ number, started }) {
+		const RollPbtA = CONFIG.Dice.RollPbtA;
+		// Whispered and blind rolls are private, so they stay out of the log.
+		const rolls = game.messages.filter((m) => m.timestamp >= started && m.getFlag("pbta", "card")
+			&& !m.whisper.length && !m.blind);
+		const escape = foundry.utils.escapeHTML;
+		const entries = rolls.map((message) => {
+			const card = message.getFlag("pbta", "card");
+			const { resultLabel } = RollPbtA.getCardResult(card);
+			const total = message.rolls[0]?.total;
+			const result = [total, resultLabel].filter((r) => r !== undefined && r !== null && r !== "").join(", ");
+			return `<li><strong>${escape(message.alias)}</strong>: ${escape(card.title || card.statLabel || "")}${result ? ` (${result})` : ""}</li>`;
+		});
+
+		const name = game.i18n.format("PBTA.Session.title", { number });
+		return JournalEntry.create({
+			name,
+			pages: [{
+				name,
+				type: "text",
+				text: {
+					content: entries.length
+						? `<ul>${entries.join("")}</ul>`
+						: `<p>${game.i18n.localize("PBTA.Session.noMoves")}</p>`
+				}
+			}]
+		});
+	}
+}
@@ -1,5 +1,7 @@
 import { PbtaSettingsConfigDialog } from "./forms/sheet-config.js";
 import { PbtaTagConfigDialog } from "./forms/tag-config.js";
+import { PbtaRollRequestDialog } from "./forms/roll-request.js";
+import { PbtaClockConfig } from "./forms/clock-config.js";
 
 /**
  * Register all of the system's settings.
@@ -15,6 +17,15 @@ export function registerSettings() {
 		scope: "world"
 	});
 
+	game.settings.registerMenu("pbta", "rollRequestMenu", {
+		name: game.i18n.localize("PBTA.RollRequest.name"),
+		label: game.i18n.localize("PBTA.RollRequest.title"),
+		hint: game.i18n.localize("PBTA.RollRequest.hint"),
+		icon: "fas fa-dice",
+		type: PbtaRollRequestDialog,
+		restricted: true
+	});
+
 	game.settings.registerMenu("pbta", "tagConfigMenu", {
 		name: game.i18n.localize("PBTA.Settings.tagConfig.name"),
 		label: game.i18n.localize("PBTA.Settings.tagConfig.label"),
@@ -25,6 +36,15 @@ export function registerSettings() {
 		scope: "world"
 	});
 
+	game.settings.registerMenu("pbta", "clocksMenu", {
+		name: game.i18n.localize("PBTA.Clocks.settingName"),
+		label: game.i18n.localize("PBTA.Clocks.label"),
+		hint: game.i18n.localize("PBTA.Clocks.settingHint"),
+		icon: "fas fa-clock",
+		type: PbtaClockConfig,
+		restricted: true
+	});
+
 	/**
 	 * Track the system version upon which point a migration was last applied
 	 */
@@ -36,6 +56,32 @@ export function registerSettings() {
 		default: ""
 	});
 
+	/**
+	 * Whether item effects are still copied to the actors that own the items, as they were before effects
+	 * were applied straight from items. Turned off once the world's copies have been deleted.
+	 */
+	game.settings.register("pbta", "legacyTransferral", {
+		scope: "world",
+		config: false,
+		type: Boolean,
+		default: true,
+		onChange: (value) => {
+			CONFIG.ActiveEffect.legacyTransferral = value;
+			for (const actor of game.actors) actor.reset();
+			for (const token of canvas.tokens?.placeables ?? []) {
+				if (!token.document.actorLink) token.actor?.reset();
+			}
+		}
+	});
+
+	game.settings.register("pbta", "session", {
+		scope: "world",
+		config: false,
+		type: Object,
+		default: { number: 0, active: false, started: null },
+		onChange: () => ui.settings?.render()
+	});
+
 	game.settings.register("pbta", "autoCollapseItemCards", {
 		name: "PBTA.Settings.AutoCollapseCard.name",
 		hint: "PBTA.Settings.AutoCollapseCard.hint",
@@ -140,4 +186,13 @@ export function registerSettings() {
 			}
 		}
 	});
+
+	game.settings.register("pbta", "clocks", {
+		name: "PBTA Shared Clocks",
+		scope: "world",
+		config: false,
+		type: Array,
+		default: [],
+		onChange: () => game.pbta.clockPanel?.render()
+	});
 }
@@ -44,8 +44,8 @@ export function validateSheetConfig(sheetConfig) {
 		equipmentTypes: game.i18n.localize("PBTA.Messages.sheetConfig.equipmentTypes")
 	};
 
-	// Handle rollFormula.
-	if (!sheetConfig.rollFormula) {
+	// Handle rollFormula. Dice pools build their own formula from the stat.
+	if (!sheetConfig.rollFormula && !sheetConfig.dicePool) {
 		errors.push(`${t.rollFormulaRequired}`);
 	}
 
@@ -211,18 +211,56 @@ export function convertSheetConfig(sheetConfig) {
 			newConfig.rollFormula = validRoll ? rollFormula : "";
 		} else if (k === "rollShifting") {
 			newConfig.rollShifting = v;
+		} else if (k === "dicePool") {
+			if (!v) {
+				newConfig.dicePool = false;
+			} else if (typeof v === "object") {
+				newConfig.dicePool = {
+					faces: v.faces ?? 6,
+					critical: v.critical ?? "critical"
+				};
+			} else {
+				newConfig.dicePool = {
+					faces: 6,
+					critical: "critical"
+				};
+			}
+		} else if (k === "helpInterfere") {
+			if (!v) {
+				newConfig.helpInterfere = false;
+			} else if (typeof v === "object") {
+				newConfig.helpInterfere = {
+					move: v.move ?? "",
+					attribute: v.attribute ?? "",
+					help: v.help ?? 1,
+					interfere: v.interfere ?? -2,
+					success: Array.isArray(v.success) ? v.success : null
+				};
+			} else {
+				newConfig.helpInterfere = {
+					move: "",
+					attribute: typeof v === "string" ? v : "",
+					help: 1,
+					interfere: -2,
+					success: null
+				};
+			}
 		} else if (k === "statToggle") {
 			if (!v) {
 				newConfig.statToggle = false;
 			} else if (typeof v === "object" && v.label) {
 				newConfig.statToggle = {
 					label: v.label,
-					modifier: v.modifier ?? 0
+					modifier: v.modifier ?? 0,
+					xp: v.xp ?? "",
+					xpCap: v.xpCap ?? 0
 				};
 			} else {
 				newConfig.statToggle = {
 					label: v,
-					modifier: 0
+					modifier: 0,
+					xp: "",
+					xpCap: 0
 				};
 			}
 		} else if (k === "statToken") {
@@ -267,40 +305,81 @@ export function convertSheetConfig(sheetConfig) {
 					}
 				};
 			}
+		} else if (k === "targetNumber") {
+			if (!v) {
+				newConfig.targetNumber = false;
+			} else if (typeof v === "object") {
+				newConfig.targetNumber = {
+					mode: v.mode ?? "under",
+					target: v.target ?? "stat"
+				};
+			} else {
+				newConfig.targetNumber = {
+					mode: v === "over" ? "over" : "under",
+					target: "stat"
+				};
+			}
+		} else if (k === "load") {
+			if (!v) {
+				newConfig.load = false;
+			} else {
+				const config = typeof v === "object" ? v : { base: v };
+				newConfig.load = {
+					label: config.label ?? "",
+					attribute: config.attribute ?? "",
+					stat: config.stat ?? "",
+					base: Number(config.base) || 0,
+					mod: Number(config.mod) || 0,
+					thresholds: Object.entries(config.thresholds ?? {}).map(([key, threshold]) => ({
+						key,
+						label: threshold.label ?? key,
+						value: threshold.value ?? "@max",
+						mod: Number(threshold.mod) || 0,
+						warning: !!threshold.warning
+					}))
+				};
+			}
+		} else if (k === "damage") {
+			if (!v) {
+				newConfig.damage = false;
+			} else {
+				const config = typeof v === "object" ? v : {};
+				newConfig.damage = {
+					armor: config.armor ?? "armor",
+					harm: config.harm ?? "harm"
+				};
+			}
+		} else if (k === "endOfSession") {
+			if (!v) {
+				newConfig.endOfSession = false;
+			} else {
+				const config = typeof v === "object" && !Array.isArray(v) ? v : { questions: v };
+				const questions = Array.isArray(config.questions)
+					? config.questions
+					: Object.values(config.questions ?? {});
+				newConfig.endOfSession = {
+					attribute: config.attribute ?? "xp",
+					questions: questions
+						.map((q) => (typeof q === "object" ? q : { label: q }))
+						.filter((q) => q.label)
+						.map((q) => ({ label: q.label, xp: Number(q.xp ?? 1) }))
+				};
+			}
 		} else if (k === "statClock") {
 			newConfig.statClock = v;
 		} else if (k === "rollResults") {
 			newConfig.rollResults = {};
 			// Set result ranges.
 			for (let [rollKey, rollSetting] of Object.entries(v)) {
-				if (rollSetting.range && typeof rollSetting.range === "string") {
-					// Split the result range into an array.
-					let range = rollSetting.range.split(/[-+]/g);
-					if (range.length === 2 && range[0] !== "") {
-						// Get the start and end numbers. Start should always be numeric,
-						// e.g. 6- rather than -6.
-						let start = Number(range[0]);
-						let end = range[1] !== "" ? Number(range[1]) : null;
-						let rollResult = {};
-
-						// If there's only one digit, assume it's N+ or N-.
-						if (end === null) {
-							rollResult = {
-								start: rollSetting.range.includes("-") ? null : start,
-								end: rollSetting.range.includes("+") ? null : start,
-								label: rollSetting.label
-							};
-						} else {
-							// Otherwise, set the full range.
-							rollResult = {
-								start: start,
-								end: end,
-								label: rollSetting.label
-							};
-						}
-
-						// Update the sheet config with this result range.
-						newConfig.rollResults[rollKey] = rollResult;
+				const range = parseResultRange(rollSetting.range);
+				if (range) {
+					// Update the sheet config with this result range.
+					newConfig.rollResults[rollKey] = {
+						...range,
+						label: rollSetting.label
+					};
+					if (rollSetting.triggers) {
+						newConfig.rollResults[rollKey].triggers = parseResultTriggers(rollSetting.triggers);
 					}
 				}
 			}
@@ -417,10 +496,85 @@ export function convertSheetConfig(sheetConfig) {
 		}
 	}
 
+	// Dice pools detect criticals by counting max faces, so the critical
+	// result doesn't need a range of its own.
+	const critical = newConfig.dicePool?.critical;
+	if (critical && newConfig.rollResults && !newConfig.rollResults[critical] && sheetConfig.rollResults?.[critical]) {
+		newConfig.rollResults[critical] = {
+			start: null,
+			end: null,
+			noRange: true,
+			label: sheetConfig.rollResults[critical].label
+		};
+		if (sheetConfig.rollResults[critical].triggers) {
+			newConfig.rollResults[critical].triggers = parseResultTriggers(sheetConfig.rollResults[critical].triggers);
+		}
+	}
+
 	// Update stored config.
 	return newConfig;
 }
 
+/**
+ * Parses the triggers of a roll result, dropping any of an unknown type.
+ * A single trigger may be given as a table instead of an array of tables.
+ * @param {object|object[]} triggers
+ * @returns {object[]}
+ */
+export function parseResultTriggers(triggers) {
+	return [triggers].flat()
+		.filter((trigger) => CONFIG.PBTA.resultTriggers.includes(trigger?.type))
+		.map((trigger) => ({
+			type: trigger.type,
+			attribute: trigger.attribute ?? "",
+			value: Number(trigger.value ?? 1),
+			move: trigger.move ?? "",
+			target: !!trigger.target
+		}));
+}
+
+/**
+ * Parses a result range such as "6-", "7-9" or "10+" into its start and end.
+ * @param {string} rangeString
+ * @returns {{start: number|null, end: number|null}|null}	Null if the range is invalid.
+ */
+export function parseResultRange(rangeString) {
+	if (!rangeString || typeof rangeString !== "string") return null;
+
+	// Split the result range into an array.
+	let range = rangeString.split(/[-+]/g);
+	if (range.length !== 2 || range[0] === "") return null;
+
+	// Get the start and end numbers. Start should always be numeric,
+	// e.g. 6- rather than -6.
+	let start = Number(range[0]);
+	let end = range[1] !== "" ? Number(range[1]) : null;
+
+	// If there's only one digit, assume it's N+ or N-.
+	if (end === null) {
+		return {
+			start: rangeString.includes("-") ? null : start,
+			end: rangeString.includes("+") ? null : start
+		};
+	}
+	// Otherwise, set the full range.
+	return { start, end };
+}
+
+/**
+ * Formats a result range back into a string such as "6-", "7-9" or "10+".
+ * @param {object} range
+ * @param {number|null} range.start
+ * @param {number|null} range.end
+ * @returns {string}
+ */
+export function formatResultRange({ start = null, end = null } = {}) {
+	if (start === null && end === null) return "";
+	if (start === null) return `${end}-`;
+	if (end === null) return `${start}+`;
+	return `${start}-${end}`;
+}
+
 /**
  * Updates a Track's display.
  * @param {object} attr
@@ -516,6 +670,13 @@ export function convertAttr(attrGroup) {
 				attr.value = attrValue.default ?? "0";
 				break;
 
+			case "Relationship":
+				// Values are stored per actor ID; numeric styles such as Hx or Bonds can be rolled.
+				attr.style = attrValue.style === "boolean" ? "boolean" : "number";
+				attr.default = attrValue.default ?? (attr.style === "boolean" ? false : 0);
+				attr.value = {};
+				break;
+
 			case "Track":
 				// based on Faction Reputation of Root RPG
 				attr.value = attrValue.default ?? 0;
@@ -613,6 +774,26 @@ export function applyActorTemplates(clear = false) {
 	}
 }
 
+/**
+ * Pick the settings that make a ListMany option behave as a condition.
+ * @param {object} option
+ * @param {number} [option.mod]				The modifier, instead of reading it from the label.
+ * @param {string|string[]} [option.stats]	The stats that the condition affects.
+ * @param {string|string[]} [option.moves]	The moves that the condition affects.
+ * @param {boolean} [option.automatic]		Apply the condition without offering it in the roll dialog.
+ * @param {boolean} [option.clear]			Unmark the condition once it has been used in a roll.
+ * @returns {object}
+ */
+export function getConditionSettings({ mod, stats, moves, automatic, clear }) {
+	const settings = {};
+	if (Number.isNumeric(mod)) settings.mod = Number(mod);
+	if (stats) settings.stats = [stats].flat();
+	if (moves) settings.moves = [moves].flat();
+	if (automatic) settings.automatic = true;
+	if (clear) settings.clear = true;
+	return settings;
+}
+
 /**
  * Generates a list of checkboxes.
  * @param {object} attrValue
@@ -630,6 +811,7 @@ export function getListOptions(attrValue, isRadio = false) {
 					options[index] = {
 						label,
 						tooltip,
+						...getConditionSettings(optV),
 						value: isRadio ? optV : false
 					};
 				} else {
@@ -647,6 +829,7 @@ export function getListOptions(attrValue, isRadio = false) {
 					options[optK] = {
 						label,
 						tooltip,
+						...getConditionSettings(optV),
 						value: isRadio ? optV : false
 					};
 				} else {
@@ -671,6 +854,7 @@ export function getListOptions(attrValue, isRadio = false) {
 					};
 				}
 				options[optK] = {
+					...getConditionSettings(optV),
 					values: subOptV,
 					label
 				};
@@ -853,6 +1037,19 @@ export async function getPlaybooks() {
 		});
 }
 
+/**
+ * Retrieves the moves in the world and compendiums.
+ * @returns {Promise<Item[]>}
+ */
+export async function getMoves() {
+	let moves = game.items.filter((item) => item.type === "move");
+	for (let c of game.packs) {
+		if (c.metadata.type !== "Item") continue;
+		moves = moves.concat(await c.getDocuments({ type: "move" }));
+	}
+	return moves.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" }));
+}
+
 /**
  * Returns a list of names of the playbooks listed under CONFIG.PBTA.playbooks.
  * @returns {string[]}
@@ -981,6 +1178,7 @@ export async function preloadHandlebarsTemplates() {
 		// Actor partials
 		"systems/pbta/templates/actors/parts/actor-attributes.hbs",
 		"systems/pbta/templates/actors/parts/actor-description.hbs",
+		"systems/pbta/templates/actors/parts/actor-effects.hbs",
 		"systems/pbta/templates/actors/parts/actor-header.hbs",
 		"systems/pbta/templates/actors/parts/actor-inventory.hbs",
 		"systems/pbta/templates/actors/parts/actor-movelist.hbs",
@@ -988,9 +1186,12 @@ export async function preloadHandlebarsTemplates() {
 		"systems/pbta/templates/actors/parts/actor-stats.hbs",
 
 		// Item partials
+		"systems/pbta/templates/items/parts/item-effects.hbs",
 		"systems/pbta/templates/items/parts/move-description.hbs",
+		"systems/pbta/templates/items/parts/move-results.hbs",
 
 		// Chat Cards
+		"systems/pbta/templates/chat/hold-spend.hbs",
 		"systems/pbta/templates/chat/stat-shift.hbs"
 	];
 